@@ -0,0 +1,88 @@
+// The ack every socket event answers with (when the caller passes one):
+//   {version, ok, event, data, error}
+// ok is true if the call did what was asked, data is what it returns
+// (null if nothing), and error is null or {code, message}.
+// Clients switch on error.code (one of ERRORS below); the message is for
+// people and may change. Codes are stable: new ones may be added, but an
+// existing one never changes its meaning.
+// Clients that predate the envelope (version 1) still get the ack each
+// event used to send (a string, a count, {event, result}...) until they
+// connect with the ackVersion=2 handshake query. config.acks.defaultVersion
+// (ACK_VERSION) says what clients that do not ask get.
+
+const ACK_VERSION = 2;
+
+// every error code an ack may carry, with what it means
+const ERRORS = {
+  FORBIDDEN: "The caller's role may not call this event (or not for this Room)",
+  INVALID_PAYLOAD: 'The payload does not match the event (see schemas.js)',
+  INVALID_VISIT: 'The visit is missing a field or has a bad time',
+  INVALID_QUEUE: 'The queue must be warnings or alerts',
+  INVALID_ITEM: 'A pending item is named by its id and key',
+  INVALID_QUERY: 'The analytics query has a bad bucket or range',
+  INVALID_ROOM: 'The Room has a bad field',
+  INVALID_SETTINGS: 'The Room settings have a bad value',
+  INVALID_CSV: 'The CSV has a bad header row',
+  NOT_A_ROOM: 'Only a Room socket can open a Room',
+  RATE_LIMITED: 'Too many calls: retry after data.retryAfter seconds',
+  ROOM_CLOSED: 'The Room must be open before Visitors can enter',
+  ROOM_FULL: 'The Room is at capacity',
+  UNKNOWN_ROOM: 'No Room by that name is registered',
+  NOT_FOUND: 'No such pending item, held warning, Room or case',
+  NOT_JOINED: "The socket could not join the Room's io room",
+  NOT_LEFT: "The socket could not leave the Room's io room",
+  GRAPH_ERROR: 'The visit graph could not be read or written',
+  SERVER_ERROR: 'The server failed while handling the event',
+};
+
+const versionOf = (socket, defaultVersion) =>
+  Number(socket.handshake.query.ackVersion) || defaultVersion;
+
+// an ack for a call that did what was asked
+const ok = (event, data = null) => ({
+  version: ACK_VERSION,
+  ok: true,
+  event: event,
+  data: data,
+  error: null,
+});
+
+// an ack for a call that did not
+// (message defaults to the code's meaning; data may say more, e.g., the
+// Room's occupancy for ROOM_FULL)
+const failure = (event, code, message, data = null) => {
+  if (!ERRORS[code]) {
+    throw new Error(`Unknown error code ${code} (see acks.js)`);
+  }
+  return {
+    version: ACK_VERSION,
+    ok: false,
+    event: event,
+    data: data,
+    error: { code: code, message: message || ERRORS[code] },
+  };
+};
+
+// what a version 1 client gets for an ack without a legacy shape of its
+// own: the data itself, or {event, result: false, error}
+const legacyOf = (ack) =>
+  ack.ok ? ack.data : { event: ack.event, result: false, error: ack.error };
+
+// returns reply(ack, envelope, legacy), which answers a socket's call
+// with the envelope, or (for a version 1 client) with legacy
+function responder(socket, defaultVersion = 1) {
+  const version = versionOf(socket, defaultVersion);
+  return (ack, envelope, legacy = legacyOf(envelope)) => {
+    if (ack) {
+      ack(version >= ACK_VERSION ? envelope : legacy);
+    }
+  };
+}
+
+module.exports = {
+  ACK_VERSION,
+  ERRORS,
+  failure,
+  ok,
+  responder,
+};
@@ -0,0 +1,233 @@
+const moment = require('moment');
+
+const { SnapshotBacked } = require('./store');
+
+// Per-Room analytics for Room managers (peak hours, average stay).
+// The server tells analytics each time a Room's occupancy changes, and
+// each finished visit's stay, and both go into the Room's hourly buckets:
+//   {room, start, visits, stayMinutes, longestStay,
+//    occupiedMs, peakOccupancy}
+// (a visit counts in the hour it began; start is epoch ms)
+// occupiedMs is occupancy integrated over time (two Visitors for half an
+// hour is an hour's worth): an occupancy lasts until the next change, and
+// is carried into every hour it spans, so an hour with no enter or leave
+// still counts the Visitors who stayed through it.
+// Daily buckets are rolled up from the hourly ones when queried.
+// Buckets older than the retention window are dropped, so the data stays
+// small however long the server runs.
+// Occupancy changes with every enter and leave, so a busy server records
+// many changes a second: buckets are pruned once an hour (when a change
+// falls in a new hour), and saved at most once every PERSIST_DELAY
+// (see SnapshotBacked.schedulePersist()).
+
+const HOUR = 60 * 60 * 1000;
+
+const BUCKET_SIZES = ['hour', 'day'];
+const RETENTION_DAYS = 30;
+
+const bucketKey = (room, start) => `${room}|${start}`;
+
+const emptyBucket = (room, start) => ({
+  room: room,
+  start: start,
+  visits: 0,
+  stayMinutes: 0,
+  longestStay: 0,
+  occupiedMs: 0,
+  peakOccupancy: 0,
+});
+
+// adds bucket b's counts to bucket a
+const addBucket = (a, b) => ({
+  ...a,
+  visits: a.visits + b.visits,
+  stayMinutes: a.stayMinutes + b.stayMinutes,
+  longestStay: Math.max(a.longestStay, b.longestStay),
+  occupiedMs: a.occupiedMs + b.occupiedMs,
+  peakOccupancy: Math.max(a.peakOccupancy, b.peakOccupancy),
+});
+
+// what a query returns for a bucket (stays in minutes)
+// averageOccupancy is over the whole bucket, or the part of it before now
+const rowOf = (bucket, size, now) => {
+  const end = moment(bucket.start).add(1, size).valueOf();
+  const elapsed = Math.min(end, now) - bucket.start;
+  return {
+    room: bucket.room,
+    start: moment(bucket.start).toISOString(),
+    end: moment(end).toISOString(),
+    visits: bucket.visits,
+    averageStay: bucket.visits
+      ? Math.round(bucket.stayMinutes / bucket.visits)
+      : null,
+    longestStay: bucket.longestStay,
+    peakOccupancy: bucket.peakOccupancy,
+    averageOccupancy:
+      elapsed > 0 ? Math.round((bucket.occupiedMs / elapsed) * 10) / 10 : null,
+  };
+};
+
+class Analytics extends SnapshotBacked {
+  constructor(store, retentionDays = RETENTION_DAYS) {
+    super(store, 'buckets', 'analytics');
+    this.retentionDays = retentionDays;
+    this.buckets = new Map();
+    // the hour last pruned (epoch ms)
+    this.prunedHour = null;
+    // room => {occupancy, at}: each Room's occupancy since its last change
+    // (or since it was last carried into the buckets, see carry())
+    this.occupancies = new Map();
+  }
+
+  // drops buckets that aged out while the server was down
+  // (buckets saved before occupancy was integrated over time count
+  // their average sample for the whole hour)
+  restored() {
+    this.buckets.forEach((bucket) => {
+      if (bucket.occupiedMs === undefined) {
+        bucket.occupiedMs = bucket.samples
+          ? (bucket.occupancySum / bucket.samples) * HOUR
+          : 0;
+        delete bucket.samples;
+        delete bucket.occupancySum;
+      }
+    });
+    this.prune();
+  }
+
+  // brings every Room's occupancy into the buckets before each save
+  persist() {
+    this.settle();
+    return super.persist();
+  }
+
+  // the Room's bucket for the hour time falls in (created if need be)
+  bucketOf(room, time) {
+    const start = moment(time).startOf('hour').valueOf();
+    const key = bucketKey(room, start);
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, emptyBucket(room, start));
+    }
+    return this.buckets.get(key);
+  }
+
+  // drops buckets older than the retention window
+  prune(now = Date.now()) {
+    const oldest = moment(now)
+      .subtract(this.retentionDays, 'days')
+      .startOf('hour')
+      .valueOf();
+    let dropped = 0;
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.start < oldest) {
+        this.buckets.delete(key);
+        dropped++;
+      }
+    });
+    return dropped;
+  }
+
+  // prunes when now falls in a later hour than the last prune
+  // (buckets only age out by the hour)
+  pruneHourly(now = Date.now()) {
+    const hour = moment(now).startOf('hour').valueOf();
+    if (this.prunedHour !== null && hour <= this.prunedHour) {
+      return 0;
+    }
+    this.prunedHour = hour;
+    return this.prune(now);
+  }
+
+  // adds the Room's occupancy from its last change (or carry) up to `at`
+  // to the buckets of the hours in between
+  carry(room, at) {
+    const last = this.occupancies.get(room);
+    if (!last) {
+      return;
+    }
+    let from = last.at;
+    while (from < at) {
+      const bucket = this.bucketOf(room, from);
+      const end = Math.min(at, bucket.start + HOUR);
+      bucket.occupiedMs += last.occupancy * (end - from);
+      bucket.peakOccupancy = Math.max(bucket.peakOccupancy, last.occupancy);
+      from = end;
+    }
+    last.at = Math.max(last.at, at);
+  }
+
+  // carries every occupied Room up to now
+  settle(now = Date.now()) {
+    this.occupancies.forEach((last, room) => this.carry(room, now));
+  }
+
+  // called whenever a Room's occupancy changes (see ServerProxy.updateOccupancy)
+  recordOccupancy(room, occupancy, at = Date.now()) {
+    this.carry(room, at);
+    const bucket = this.bucketOf(room, at);
+    bucket.peakOccupancy = Math.max(bucket.peakOccupancy, occupancy);
+    if (occupancy) {
+      this.occupancies.set(room, { occupancy: occupancy, at: at });
+    } else {
+      // an empty Room adds nothing until someone enters
+      this.occupancies.delete(room);
+    }
+    this.pruneHourly(at);
+    this.schedulePersist();
+    return bucket;
+  }
+
+  // called with each visit the server checks out (see VisitLog.checkOut)
+  recordVisit({ room, checkIn, checkOut }) {
+    const stay = Math.round((checkOut - checkIn) / 60000);
+    const bucket = this.bucketOf(room, checkIn);
+    bucket.visits++;
+    bucket.stayMinutes += stay;
+    bucket.longestStay = Math.max(bucket.longestStay, stay);
+    this.pruneHourly();
+    this.schedulePersist();
+    return bucket;
+  }
+
+  // Rooms with data in the retention window
+  rooms() {
+    return [...new Set([...this.buckets.values()].map((b) => b.room))].sort();
+  }
+
+  // a Room's (or, without a room, every Room's) buckets overlapping
+  // [from, to) in epoch ms, oldest first
+  // size is 'hour' or 'day' (throws on anything else)
+  // (now is the end of the latest bucket's elapsed part)
+  series(
+    { room, size = 'hour', from = 0, to = Date.now() } = {},
+    now = Date.now()
+  ) {
+    if (!BUCKET_SIZES.includes(size)) {
+      throw new Error(`bucket must be one of ${BUCKET_SIZES.join(', ')}`);
+    }
+    this.settle(now);
+    const rolled = new Map();
+    this.buckets.forEach((bucket) => {
+      if (room && bucket.room !== room) {
+        return;
+      }
+      const start = moment(bucket.start).startOf(size).valueOf();
+      if (start >= to || moment(start).add(1, size).valueOf() <= from) {
+        return;
+      }
+      const key = bucketKey(bucket.room, start);
+      rolled.set(
+        key,
+        addBucket(rolled.get(key) || emptyBucket(bucket.room, start), bucket)
+      );
+    });
+    return [...rolled.values()]
+      .sort((a, b) => a.start - b.start || a.room.localeCompare(b.room))
+      .map((bucket) => rowOf(bucket, size, now));
+  }
+}
+
+module.exports = {
+  Analytics,
+  BUCKET_SIZES,
+};
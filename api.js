@@ -0,0 +1,251 @@
+const express = require('express');
+
+const {
+  ADMIN,
+  ANYONE,
+  authorize,
+  forbidden,
+  ROOM_MANAGER,
+  VISITOR,
+} = require('./permissions');
+const { eraseVisitorData, exportVisitorData } = require('./privacy');
+const { exportKeyOf, rangeOf, REPORTS, writeCsv } = require('./reports');
+
+// how long /health waits on a tenant's graph before calling it down
+const HEALTH_TIMEOUT = 2000;
+
+// JSON HTTP API over each tenant's ServerProxy (mounted at /api),
+// for ops scripts and uptime checks that cannot speak socket.io.
+// Requests carry a token (Authorization: Bearer <token>, see auth.js)
+// and are served from their token's tenant. Each route declares the same
+// permission as the matching socket event (see permissions.js).
+// Only /health answers without a token, whatever auth.required says:
+// unlike a legacy unsigned socket, a request has no role to claim.
+function createApi({ auth, tenants, defaultTenant, version }) {
+  const router = express.Router();
+
+  // sets req.identity and req.tenant
+  const identify = (req, res, next) => {
+    const header = req.get('Authorization');
+    const identity = header && auth.verifyBearer(header);
+    if (!identity) {
+      return res
+        .status(401)
+        .json({ error: header ? 'Invalid token' : 'Missing token' });
+    }
+    const name = identity.tenant || defaultTenant;
+    if (req.query.tenant && req.query.tenant != name) {
+      return res.status(403).json({
+        error: `Token is not for tenant ${req.query.tenant}`,
+      });
+    }
+    req.identity = identity;
+    req.tenant = tenants.get(name);
+    if (!req.tenant) {
+      return res.status(404).json({ error: `No tenant ${name}` });
+    }
+    next();
+  };
+
+  // refused requests get the same FORBIDDEN body (and audit entry)
+  // as refused socket events
+  const allow = (permission) => (req, res, next) => {
+    const reason = authorize(req.identity, permission, req.params);
+    if (reason) {
+      const event = `${req.method} ${req.baseUrl}${req.path}`;
+      req.tenant.audit.record('forbidden', req.identity, {
+        event: event,
+        reason: reason,
+        address: req.ip,
+      });
+      return res.status(403).json(forbidden(event, reason));
+    }
+    next();
+  };
+
+  const get = (path, permission, handler) =>
+    router.get(path, identify, allow(permission), (req, res) =>
+      handler(req, res, req.tenant)
+    );
+
+  // resolves to true if the tenant's graph answers a trivial query in time
+  const graphIsUp = (tenant) =>
+    Promise.race([
+      tenant.graph.countRooms().then(() => true),
+      new Promise((resolve) => setTimeout(resolve, HEALTH_TIMEOUT, false)),
+    ]).catch(() => false);
+
+  // for uptime checks: counts only (no ids), 503 if any graph is down
+  router.get('/health', (req, res) => {
+    Promise.all(
+      [...tenants.values()].map((tenant) =>
+        graphIsUp(tenant).then((graph) => ({
+          name: tenant.name,
+          namespace: tenant.namespace,
+          graph: graph ? 'up' : 'down',
+          sockets: tenant.S.sockets.length,
+          openRooms: tenant.S.openRooms.length,
+          pendingWarnings: tenant.S.pendingCount(
+            tenant.S.pendingVisitorWarnings
+          ),
+          pendingAlerts: tenant.S.pendingCount(tenant.S.pendingRoomAlerts),
+        }))
+      )
+    ).then((report) => {
+      const healthy = report.every((tenant) => tenant.graph == 'up');
+      res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'ok' : 'degraded',
+        version: version,
+        uptime: Math.round(process.uptime()),
+        tenants: report,
+      });
+    });
+  });
+
+  // Rooms (as exposeOpenRooms and exposeAvailableRooms)
+  get('/rooms/open', ANYONE, (req, res, { S }) => res.json(S.openRooms));
+  get('/rooms/available', ANYONE, (req, res, { S }) => res.json(S.available));
+
+  // Visitors in each open Room, and how many it admits (as updatedOccupancy)
+  const occupancyOf = ({ S, registry }, room) => ({
+    room: room,
+    occupancy: S.getOccupancy(room),
+    capacity: registry.capacityOf(room),
+  });
+  get('/rooms/occupancy', ANYONE, (req, res, tenant) =>
+    res.json(tenant.S.openRooms.map(({ room }) => occupancyOf(tenant, room)))
+  );
+  get('/rooms/:room/occupancy', ANYONE, (req, res, tenant) => {
+    const { room } = req.params;
+    if (!tenant.S.rooms[room]) {
+      return res.status(404).json({ error: `${room} is not open` });
+    }
+    res.json(occupancyOf(tenant, room));
+  });
+
+  // hourly or daily occupancy and stays (as exposeRoomAnalytics)
+  // ?bucket=hour|day&from=&to= (Rooms may read their own)
+  const analytics = (req, res, tenant) => {
+    try {
+      res.json(
+        tenant.analytics.series({
+          room: req.params.room,
+          size: req.query.bucket,
+          ...rangeOf(req.query),
+        })
+      );
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+  get('/rooms/:room/analytics', ROOM_MANAGER, analytics);
+  get('/analytics', ADMIN, analytics);
+
+  // the Room registry (as exposeRoomRegistry and importRooms)
+  // import with POST /rooms/registry and a text/csv body
+  get('/rooms/registry', ADMIN, (req, res, { S, registry }) =>
+    res.json(registry.status(S))
+  );
+  router.post(
+    '/rooms/registry',
+    express.text({ type: 'text/csv' }),
+    identify,
+    allow(ADMIN),
+    (req, res) => {
+      const { registry, audit } = req.tenant;
+      registry
+        .importCsv(req.body)
+        .then((report) => {
+          audit.record('importRooms', req.identity, {
+            added: report.added,
+            updated: report.updated,
+          });
+          res.json(report);
+        })
+        .catch((err) => res.status(400).json({ error: err.message }));
+    }
+  );
+
+  // admin only (as exposeAllSockets and exposeVisitorsRooms)
+  get('/sockets', ADMIN, (req, res, { S }) => res.json(S.sockets));
+  get('/visitors', ADMIN, (req, res, { S }) => res.json(S.visitors));
+
+  // pending queues (as exposePendingVistorWarnings, exposePendingRoomAlerts
+  // and exposeDeliveries)
+  get('/pending/warnings', ADMIN, (req, res, { S }) =>
+    res.json([...S.pendingVisitorWarnings])
+  );
+  get('/pending/alerts', ADMIN, (req, res, { S }) =>
+    res.json([...S.pendingRoomAlerts])
+  );
+  get('/deliveries', ADMIN, (req, res, { S }) =>
+    res.json(S.courier.deliveries)
+  );
+
+  // warnings held for review (as exposeReviewQueue, see review.js)
+  get('/review', ADMIN, (req, res, { review }) => res.json(review.list()));
+
+  // purge summaries (as exposePurges, see retention.js)
+  get('/purges', ADMIN, (req, res, { purges }) =>
+    res.json(purges.list({ limit: Number(req.query.limit) || undefined }))
+  );
+
+  // exposure cases (as exposeCases, see cases.js)
+  get('/cases', ADMIN, (req, res, { cases }) => res.json(cases.list()));
+  get('/cases/:caseId', ADMIN, (req, res, { cases }) => {
+    const exposureCase = cases.get(req.params.caseId);
+    if (!exposureCase) {
+      return res.status(404).json({ error: `No case ${req.params.caseId}` });
+    }
+    res.json(cases.summarize(exposureCase));
+  });
+
+  // a Visitor's own data (as requestMyData and eraseMyData, see privacy.js)
+  // always the token's Visitor: there is no way to name another
+  get('/me', VISITOR, (req, res, tenant) =>
+    exportVisitorData(tenant, req.identity.id)
+      .then((exported) => res.json(exported))
+      .catch((err) => res.status(503).json({ error: err.message }))
+  );
+  router.delete('/me', identify, allow(VISITOR), (req, res) => {
+    const { tenant, identity } = req;
+    eraseVisitorData(tenant, identity.id)
+      .then((receipt) => res.json(receipt))
+      .catch((err) => res.status(503).json({ error: err.message }));
+  });
+
+  // CSV exports (see reports.js): /export/visits.csv and /export/cases.csv
+  // ?from=&to=&room= filter the rows, ?pseudonymize=true hides Visitor ids
+  get('/export/:report.csv', ADMIN, (req, res, tenant) => {
+    const report =
+      Object.keys(REPORTS).includes(req.params.report) &&
+      REPORTS[req.params.report];
+    if (!report) {
+      return res.status(404).json({ error: `No ${req.params.report} export` });
+    }
+    const filters = {
+      ...req.query,
+      pseudonymize: ['true', '1', ''].includes(req.query.pseudonymize),
+    };
+    Promise.resolve()
+      .then(() => report.rows(tenant, filters, exportKeyOf(auth.secret)))
+      .then((rows) => {
+        res.attachment(`${tenant.name}-${req.params.report}.csv`);
+        res.type('text/csv');
+        return writeCsv(rows, report.columns, res);
+      })
+      .catch((err) =>
+        // once rows have gone out, the client can only learn of the
+        // failure by the response ending early
+        res.headersSent
+          ? res.destroy(err)
+          : res.status(400).json({ error: err.message })
+      );
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApi,
+};
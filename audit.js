@@ -0,0 +1,147 @@
+const moment = require('moment');
+
+const { SnapshotBacked } = require('./store');
+
+// how many entries are kept, besides receipts (see cap())
+const MAX_ENTRIES = 1000;
+
+// actions whose entries are receipts (that name no one, see privacy.js):
+// neither MAX_ENTRIES nor the retention job (see purge()) drops them,
+// as they are the only proof the action was done
+const RECEIPTS = ['eraseMyData'];
+const isReceipt = (entry) => RECEIPTS.includes(entry.action);
+
+// refused calls (see permissions.js and ratelimits.js): a caller can make
+// any number, so they are counted rather than listed (see record())
+const REFUSALS = ['forbidden', 'rateLimited'];
+const isRefusal = (entry) => REFUSALS.includes(entry.action);
+// ms during which one caller's refusals of one event share an entry
+const REFUSAL_WINDOW = 10 * 60 * 1000;
+
+// An append-only record of security-relevant events
+// (e.g., a socket calling an event its role may not call).
+// Each entry is {at, action, id, role, name, ...details}.
+// A refusal entry also has count and lastAt: the caller's further
+// refusals of the same event within REFUSAL_WINDOW of `at` add to its
+// count instead of adding entries, and are saved on a debounce (see
+// SnapshotBacked.schedulePersist()), so a caller hammering an event
+// costs one entry per window.
+class AuditLog extends SnapshotBacked {
+  constructor(store, maxEntries = MAX_ENTRIES) {
+    super(store, 'entries', 'the audit log');
+    this.maxEntries = maxEntries;
+    this.entries = [];
+  }
+
+  // the caller's open refusal entry for the event, if any
+  // (entries are oldest first, so only the last REFUSAL_WINDOW is searched)
+  refusalOf(action, id, event, now) {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (now - moment(entry.at).valueOf() >= REFUSAL_WINDOW) {
+        return null;
+      }
+      if (entry.action == action && entry.id === id && entry.event == event) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  // identity is the caller's {id, role, name} (see auth.js)
+  record(action, identity = {}, details = {}) {
+    const now = moment();
+    const refusal =
+      REFUSALS.includes(action) &&
+      this.refusalOf(action, identity.id || null, details.event, now);
+    if (refusal) {
+      refusal.count++;
+      refusal.lastAt = now.toISOString();
+      this.schedulePersist();
+      return refusal;
+    }
+    const entry = {
+      at: now.toISOString(),
+      action: action,
+      id: identity.id || null,
+      role: identity.role || null,
+      name: identity.name || null,
+      ...details,
+    };
+    if (isRefusal(entry)) {
+      entry.count = 1;
+      entry.lastAt = entry.at;
+    }
+    this.entries.push(entry);
+    this.cap();
+    if (isRefusal(entry)) {
+      this.schedulePersist();
+    } else {
+      this.persist();
+    }
+    return entry;
+  }
+
+  // the oldest refusals fall off first, then the oldest other entries,
+  // so refusals never push out an admin's actions (receipts never fall off)
+  cap() {
+    const receipts = this.entries.filter(isReceipt).length;
+    const excess = this.entries.length - receipts - this.maxEntries;
+    if (excess <= 0) {
+      return;
+    }
+    let refusals = Math.min(excess, this.entries.filter(isRefusal).length);
+    let others = excess - refusals;
+    this.entries = this.entries.filter((entry) =>
+      isReceipt(entry)
+        ? true
+        : isRefusal(entry)
+        ? refusals-- <= 0
+        : others-- <= 0
+    );
+  }
+
+  // scrubs who made the calls an erased Visitor made (e.g., for
+  // eraseMyData): each entry keeps its action and time, but loses its
+  // id, name and address
+  // returns how many entries were scrubbed
+  forget(id) {
+    const scrubbed = this.entries.filter((entry) => entry.id === id);
+    scrubbed.forEach((entry) => {
+      entry.id = null;
+      entry.name = null;
+      entry.address = null;
+      entry.erased = true;
+    });
+    if (scrubbed.length) {
+      this.persist();
+    }
+    return scrubbed.length;
+  }
+
+  // drops entries older than `before` (epoch ms), except receipts
+  // returns how many were dropped
+  purge(before) {
+    const kept = this.entries.filter(
+      (entry) => isReceipt(entry) || moment(entry.at).valueOf() >= before
+    );
+    const dropped = this.entries.length - kept.length;
+    if (dropped) {
+      this.entries = kept;
+      this.persist();
+    }
+    return dropped;
+  }
+
+  // newest first
+  list({ action, limit } = {}) {
+    const entries = this.entries
+      .filter((entry) => !action || entry.action == action)
+      .reverse();
+    return limit ? entries.slice(0, limit) : entries;
+  }
+}
+
+module.exports = {
+  AuditLog,
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+const clc = require('cli-color');
+const error = clc.red.bold;
+
+// Signed handshake tokens.
+// A token binds a socket id to its role and tenant (and, for Rooms,
+// to the Room name):
+//   base64url(JSON {id, role, name, tenant, iat}) + '.' + base64url(HMAC-SHA256)
+// Tokens are issued at onboarding (see the /onboard routes in server.js,
+// or `node auth issue <role> <name>` for the first admin) and sent by
+// clients as the `token` query parameter alongside `id`.
+// Tokens expire maxAgeDays (config.auth.maxAgeDays) after they were issued;
+// clients onboard again for a fresh one.
+
+const ROLES = ['room', 'visitor', 'admin'];
+const MAX_AGE_DAYS = 90;
+
+const base64url = (buffer) =>
+  Buffer.from(buffer)
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+const fromBase64url = (text) =>
+  Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+// which role a handshake claims: query.room, query.visitor or query.admin
+const roleOf = (query) =>
+  query.room
+    ? 'room'
+    : query.visitor
+    ? 'visitor'
+    : query.admin
+    ? 'admin'
+    : null;
+
+// the name a handshake claims for its role
+const nameOf = (query) => query.room || query.visitor || query.admin;
+
+class Authenticator {
+  // options: {secret, required, maxAgeDays}
+  // without a configured secret, one is generated once and kept in the store
+  constructor(options = {}, store) {
+    this.secret = options.secret;
+    this.required = options.required !== false;
+    this.maxAge = (options.maxAgeDays || MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+    this.store = store;
+  }
+
+  restore() {
+    if (this.secret || !this.store) {
+      this.secret = this.secret || crypto.randomBytes(32).toString('hex');
+      return Promise.resolve();
+    }
+    return this.store.load().then((snapshot) => {
+      if (snapshot && snapshot.secret) {
+        this.secret = snapshot.secret;
+        return;
+      }
+      this.secret = crypto.randomBytes(32).toString('hex');
+      log.info('Generated a new token secret');
+      return this.store.save({ secret: this.secret });
+    });
+  }
+
+  sign(text) {
+    return base64url(
+      crypto.createHmac('sha256', this.secret).update(text).digest()
+    );
+  }
+
+  // identity is {id, role, name, tenant} (see config.tenants)
+  issue({ id, role, name, tenant }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    }
+    if (!id) {
+      throw new Error('id is required');
+    }
+    const payload = base64url(
+      JSON.stringify({
+        id: id,
+        role: role,
+        name: name,
+        tenant: tenant,
+        iat: Date.now(),
+      })
+    );
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // returns the token's identity, or null if the token is forged, garbled
+  // or expired (never throws: a handshake's token is anyone's input)
+  verify(token, now = Date.now()) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+      return null;
+    }
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(this.sign(payload));
+    // timingSafeEqual throws unless both are the same number of bytes
+    // (a non-ASCII signature can match in characters but not in bytes)
+    const actual = Buffer.from(signature || '');
+    if (
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      return null;
+    }
+    try {
+      const identity = JSON.parse(fromBase64url(payload).toString('utf8'));
+      const age = now - identity.iat;
+      return ROLES.includes(identity.role) && age >= 0 && age <= this.maxAge
+        ? identity
+        : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // the identity of an HTTP Authorization header (Bearer <token>), or null
+  verifyBearer(header) {
+    return this.verify(String(header || '').replace(/^Bearer /, ''));
+  }
+
+  // checks a handshake query: the token must verify, its id must be the
+  // query's id, its role must be the role the query claims, and a Room
+  // token only works for its own Room
+  // given a tenant, the token must be for that tenant
+  // (tokens issued before tenants belong to defaultTenant)
+  // returns {identity} or {reason}, where reason is fixed text that names
+  // no one (it is logged, and sent to the client)
+  authenticate(query, tenant, defaultTenant) {
+    const identity = this.verify(query.token);
+    if (!identity) {
+      return { reason: query.token ? 'Invalid token' : 'Missing token' };
+    }
+    if (identity.id !== query.id) {
+      return { reason: 'Token is not for this id' };
+    }
+    if (identity.role !== roleOf(query)) {
+      return { reason: `Token is not for a ${roleOf(query) || 'client'}` };
+    }
+    if (identity.role == 'room' && identity.name !== query.room) {
+      return { reason: 'Token is not for this Room' };
+    }
+    if (tenant && (identity.tenant || defaultTenant) !== tenant) {
+      return { reason: 'Token is not for this tenant' };
+    }
+    return { identity: identity };
+  }
+}
+
+module.exports = {
+  Authenticator,
+  nameOf,
+  roleOf,
+  ROLES,
+};
+
+// issue a token from the command line (e.g., the first admin's):
+//   node auth issue <role> <name> [id] [--tenant=<tenant>]
+// uses the same secret as the server (LCT_TOKEN_SECRET, or the one in data/)
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = args.find((arg) => arg.startsWith('--tenant='));
+  const [command, role, name, id] = args.filter((arg) => arg !== option);
+  const config = require('./config');
+  const tenant = option ? option.split('=')[1] : config.tenants[0].name;
+  if (command !== 'issue' || !role || !name) {
+    console.log(
+      'usage: node auth issue <room|visitor|admin> <name> [id] [--tenant=<tenant>]'
+    );
+    process.exit(1);
+  }
+  if (!config.tenants.some((t) => t.name == tenant)) {
+    console.error(error(`No tenant ${tenant}`));
+    process.exit(1);
+  }
+  const { createStore } = require('./store');
+  const auth = new Authenticator(
+    config.auth,
+    createStore('auth', config.store)
+  );
+  auth
+    .restore()
+    .then(() => {
+      const identity = {
+        id: id || require('base64id').generateId(),
+        role: role,
+        name: name,
+        tenant: tenant,
+      };
+      console.log(JSON.stringify({ ...identity, token: auth.issue(identity) }));
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(error(err.message));
+      process.exit(1);
+    });
+}
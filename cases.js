@@ -0,0 +1,282 @@
+const base64id = require('base64id');
+const moment = require('moment');
+
+const { visitorIdOf } = require('./radar');
+const { SnapshotBacked } = require('./store');
+
+const now = () => moment().toISOString();
+
+// warnings that will never reach their Room (see roomReviewed())
+const WITHDRAWN = ['rejected', 'withdrawn'];
+
+// a Room the case still needs to hear from
+const isAwaiting = (entry) =>
+  !entry.listedAt && !WITHDRAWN.includes(entry.review);
+
+// An exposure case ties one Visitor's warning (stepOneVisitorWarnsRooms)
+// to everything that follows from it:
+//   rooms[room]       step two (notified/delivered) and step three (listed)
+//   visitors[id]      step four (alerted/delivered) and step five (received)
+// so we can answer "did everyone who shared a room with this positive case
+// actually get alerted?" (see summarize())
+class CaseRegistry extends SnapshotBacked {
+  constructor(store) {
+    super(store, 'cases', 'cases');
+    this.cases = new Map();
+  }
+
+  // step one: warnings is the deserialized warningsMap (room => exposureDates)
+  open({ visitor, reason, warnings }) {
+    const caseId = base64id.generateId();
+    const exposureCase = {
+      caseId: caseId,
+      visitor: visitorIdOf(visitor),
+      reason: reason,
+      openedAt: now(),
+      rooms: {},
+      visitors: {},
+    };
+    warnings.forEach((exposureDates, room) => {
+      exposureCase.rooms[room] = {
+        room: room,
+        exposureDates: exposureDates,
+        notifiedAt: null,
+        deliveredAt: null,
+        listedAt: null,
+        exposedVisitors: [],
+      };
+    });
+    this.cases.set(caseId, exposureCase);
+    this.persist();
+    return exposureCase;
+  }
+
+  get(caseId) {
+    return this.cases.get(caseId);
+  }
+
+  // cases that named this Room but have not heard back from it (step three)
+  // (or withdrew the warning to it, see roomReviewed())
+  awaitingRoom(room) {
+    return [...this.cases.values()].filter(
+      (c) => c.rooms[room] && isAwaiting(c.rooms[room])
+    );
+  }
+
+  update(caseId, change) {
+    const exposureCase = this.cases.get(caseId);
+    if (!exposureCase) {
+      return null;
+    }
+    change(exposureCase);
+    this.persist();
+    return exposureCase;
+  }
+
+  // step two: server sent stepTwoServerNotifiesRoom
+  roomNotified(caseId, room, key) {
+    return this.update(caseId, (c) => {
+      const entry = c.rooms[room];
+      if (entry) {
+        entry.key = key;
+        entry.notifiedAt = entry.notifiedAt || now();
+      }
+    });
+  }
+
+  // step two: Room acked stepTwoServerNotifiesRoom
+  roomDelivered(caseId, room) {
+    return this.update(caseId, (c) => {
+      const entry = c.rooms[room];
+      if (entry) {
+        entry.deliveredAt = entry.deliveredAt || now();
+      }
+    });
+  }
+
+  // step one: the warning to this Room looked suspicious (see review.js)
+  // with a reviewId, it was held for an admin's review
+  roomFlagged(caseId, room, flags, reviewId = null) {
+    return this.update(caseId, (c) => {
+      const entry = c.rooms[room];
+      if (entry) {
+        entry.flags = flags;
+        entry.reviewId = reviewId;
+        entry.heldAt = reviewId ? now() : null;
+      }
+    });
+  }
+
+  // an admin released the held warning (step two goes ahead) or
+  // rejected it (the Room is never notified, and the case stops waiting)
+  // (a warning erased with its Visitor's data is 'withdrawn', likewise)
+  roomReviewed(caseId, room, decision) {
+    return this.update(caseId, (c) => {
+      const entry = c.rooms[room];
+      if (entry) {
+        entry.review = decision;
+        entry.reviewedAt = now();
+      }
+    });
+  }
+
+  // step three: Room (or the server, from the visit graph)
+  // listed its exposed Visitors
+  roomListed(caseId, room, exposedVisitors, listedBy = 'room') {
+    return this.update(caseId, (c) => {
+      const entry = c.rooms[room];
+      if (entry) {
+        entry.listedBy = listedBy;
+        entry.listedAt = now();
+        // a Room that answers has necessarily received step two
+        if (listedBy == 'room') {
+          entry.deliveredAt = entry.deliveredAt || entry.listedAt;
+        }
+        entry.exposedVisitors = exposedVisitors.map(visitorIdOf);
+      }
+    });
+  }
+
+  // step four: server sent stepFourServerAlertsVisitor
+  // risk (see scoring.js) keeps the highest score across the case's Rooms
+  visitorAlerted(caseId, visitorId, room, key, risk) {
+    return this.update(caseId, (c) => {
+      const entry = c.visitors[visitorId] || {
+        visitor: visitorId,
+        rooms: [],
+        alertedAt: now(),
+        deliveredAt: null,
+        receivedAt: null,
+      };
+      entry.key = key;
+      if (!entry.rooms.includes(room)) {
+        entry.rooms.push(room);
+      }
+      if (risk && (!entry.risk || risk.score > entry.risk.score)) {
+        entry.risk = { ...risk, room: room };
+      }
+      c.visitors[visitorId] = entry;
+    });
+  }
+
+  // step four: Visitor acked stepFourServerAlertsVisitor
+  visitorDelivered(caseId, visitorId) {
+    return this.update(caseId, (c) => {
+      const entry = c.visitors[visitorId];
+      if (entry) {
+        entry.deliveredAt = entry.deliveredAt || now();
+      }
+    });
+  }
+
+  // step five: Visitor received the alert
+  visitorReceived(caseId, visitorId) {
+    return this.update(caseId, (c) => {
+      const entry = c.visitors[visitorId];
+      if (entry) {
+        entry.receivedAt = now();
+        entry.deliveredAt = entry.deliveredAt || entry.receivedAt;
+      }
+    });
+  }
+
+  // a case is complete once every Room listed its Visitors (or had its
+  // warning withdrawn) and every listed Visitor received their alert
+  summarize(exposureCase) {
+    const rooms = Object.values(exposureCase.rooms);
+    const visitors = Object.values(exposureCase.visitors);
+    const roomsAwaiting = rooms.filter(isAwaiting).map((r) => r.room);
+    const visitorsAwaiting = visitors
+      .filter((v) => !v.receivedAt)
+      .map((v) => v.visitor);
+    return {
+      ...exposureCase,
+      roomsAwaiting: roomsAwaiting,
+      visitorsAwaiting: visitorsAwaiting,
+      complete: !roomsAwaiting.length && !visitorsAwaiting.length,
+    };
+  }
+
+  list() {
+    return [...this.cases.values()].map((c) => this.summarize(c));
+  }
+
+  // the cases that name the Visitor (e.g., for requestMyData): as the
+  // Visitor who warned (with their Rooms, but not who those Rooms listed)
+  // or as a Visitor who was alerted (with their own entry only)
+  referencesOf(visitorId) {
+    return [...this.cases.values()].reduce((a, c) => {
+      if (c.visitor === visitorId) {
+        a.push({
+          caseId: c.caseId,
+          as: 'warned',
+          reason: c.reason,
+          openedAt: c.openedAt,
+          rooms: Object.values(c.rooms).map(
+            ({ exposedVisitors, ...entry }) => entry
+          ),
+        });
+      }
+      if (c.visitors[visitorId]) {
+        a.push({
+          caseId: c.caseId,
+          as: 'alerted',
+          openedAt: c.openedAt,
+          ...c.visitors[visitorId],
+        });
+      }
+      return a;
+    }, []);
+  }
+
+  // removes the Visitor from every case that names them
+  // (e.g., for eraseMyData): a case they warned with keeps its Rooms
+  // (other Visitors' alerts hang on them) but loses its Visitor, reason
+  // and the Rooms' pending keys (which start with the Visitor's id, see
+  // radar.pendingKey); an alerted Visitor's entry goes, and so does their
+  // id from the Rooms' lists
+  // returns how many cases changed
+  forgetVisitor(visitorId) {
+    const changed = [...this.cases.values()].filter((c) => {
+      const warned = c.visitor === visitorId;
+      const alerted = !!c.visitors[visitorId];
+      if (warned) {
+        c.visitor = null;
+        c.reason = null;
+        Object.values(c.rooms).forEach((entry) => {
+          entry.key = null;
+        });
+      }
+      if (alerted) {
+        delete c.visitors[visitorId];
+        Object.values(c.rooms).forEach((entry) => {
+          entry.exposedVisitors = entry.exposedVisitors.filter(
+            (id) => id !== visitorId
+          );
+        });
+      }
+      return warned || alerted;
+    });
+    if (changed.length) {
+      this.persist();
+    }
+    return changed.length;
+  }
+
+  // drops cases opened before `before` (epoch ms)
+  // returns how many were dropped
+  purge(before) {
+    const dropped = [...this.cases.values()].filter(
+      (c) => moment(c.openedAt).valueOf() < before
+    );
+    dropped.forEach((c) => this.cases.delete(c.caseId));
+    if (dropped.length) {
+      this.persist();
+    }
+    return dropped.length;
+  }
+}
+
+module.exports = {
+  CaseRegistry,
+};
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server configuration comes from (in order of precedence):
+//   1. environment variables (e.g., REDIS_HOST)
+//   2. a JSON file named by LCT_CONFIG (default: ./config.json, git-ignored)
+//   3. the defaults below
+// config.json mirrors the shape of the exported object, e.g.:
+//   { "graph": { "backend": "redis", "host": "...", "port": 11939 } }
+// except that tenants are listed by name and may override a few settings:
+//   { "tenants": [ { "name": "shelter" },
+//                  { "name": "campus", "namespace": "/uni",
+//                    "graph": { "name": "campus" },
+//                    "exposure": { "defaultMode": "server" },
+//                    "rooms": { "defaultCapacity": 40 } } ] }
+
+function readConfigFile() {
+  const file = process.env.LCT_CONFIG || path.join(__dirname, 'config.json');
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const file = readConfigFile();
+const env = process.env;
+
+const fileGraph = file.graph || {};
+const fileStore = file.store || {};
+const fileExposure = file.exposure || {};
+const fileAuth = file.auth || {};
+const fileRooms = file.rooms || {};
+const fileAnalytics = file.analytics || {};
+const fileLogging = file.logging || {};
+const fileAcks = file.acks || {};
+const fileLimits = file.limits || {};
+const fileReview = file.review || {};
+const fileRetention = file.retention || {};
+const fileTenants = file.tenants || [];
+const redisHost = env.REDIS_HOST || fileGraph.host;
+const authRequired =
+  env.LCT_AUTH_REQUIRED !== undefined
+    ? env.LCT_AUTH_REQUIRED !== 'false'
+    : fileAuth.required;
+const graphBackend = env.GRAPH_BACKEND || fileGraph.backend;
+
+const config = {
+  graph: {
+    // redis with a Redis host, otherwise the in-process graph (memory),
+    // which forgets every visit when the server restarts (see MIGRATIONS)
+    backend: graphBackend || (redisHost ? 'redis' : 'memory'),
+    name: env.GRAPH_NAME || fileGraph.name || 'sisters',
+    host: redisHost,
+    port: Number(env.REDIS_PORT || fileGraph.port || 6379),
+    password: env.REDIS_PASSWORD || fileGraph.password,
+  },
+  // where pending warnings/alerts (and other server state) persist
+  store: {
+    backend: env.STORE_BACKEND || fileStore.backend || 'file',
+    dir: env.STORE_DIR || fileStore.dir,
+    url: env.REDIS_URL || fileStore.url,
+  },
+  // signed handshake tokens (see auth.js)
+  // without a secret, one is generated once and kept in the store
+  // LCT_AUTH_REQUIRED=true turns away unsigned (legacy) clients
+  // (see MIGRATIONS)
+  auth: {
+    secret: env.LCT_TOKEN_SECRET || fileAuth.secret,
+    required: authRequired === true,
+    // days a token stays valid after it was issued
+    maxAgeDays: Number(env.LCT_TOKEN_MAX_AGE_DAYS || fileAuth.maxAgeDays) || 90,
+  },
+  exposure: {
+    // room (Rooms list exposed Visitors) or server (the visit graph does)
+    // individual Rooms can override this (see settings.js)
+    defaultMode: env.EXPOSURE_MODE || fileExposure.defaultMode || 'room',
+  },
+  rooms: {
+    // how many Visitors a Room admits when the Room registry gives it no
+    // capacity (unset: no limit)
+    defaultCapacity:
+      Number(env.ROOM_CAPACITY || fileRooms.defaultCapacity) || null,
+  },
+  // how many days of per-Room analytics to keep (see analytics.js)
+  analytics: {
+    retentionDays:
+      Number(env.ANALYTICS_RETENTION_DAYS || fileAnalytics.retentionDays) || 30,
+  },
+  // see logger.js
+  logging: {
+    level: env.LOG_LEVEL || fileLogging.level || 'info',
+    // json for files and log shippers, pretty for a terminal
+    format:
+      env.LOG_FORMAT ||
+      fileLogging.format ||
+      (process.stdout.isTTY ? 'pretty' : 'json'),
+    // per-module levels, e.g., LOG_MODULES=radar=debug,api=warn
+    modules: env.LOG_MODULES
+      ? env.LOG_MODULES.split(',').reduce((a, setting) => {
+          const [module, level] = setting.split('=').map((s) => s.trim());
+          return { ...a, [module]: level };
+        }, {})
+      : fileLogging.modules || {},
+    // LOG_REDACT=false logs personal fields in clear text (development only)
+    redact:
+      env.LOG_REDACT !== undefined
+        ? env.LOG_REDACT !== 'false'
+        : fileLogging.redact !== false,
+  },
+  // how often one caller may warn, alert or enter Rooms (see ratelimits.js)
+  // RATE_LIMITS=false turns the limits off (e.g., for load tests)
+  limits: {
+    enabled:
+      env.RATE_LIMITS !== undefined
+        ? env.RATE_LIMITS !== 'false'
+        : fileLimits.enabled !== false,
+    // per-group overrides, e.g., { "warnings": { "identity": 5 } }
+    groups: fileLimits.groups || {},
+  },
+  // warnings naming a Room the Visitor has no visit to are held for an
+  // admin's review (see review.js); REVIEW_WARNINGS=false only flags them
+  review: {
+    holdUnvisited:
+      env.REVIEW_WARNINGS !== undefined
+        ? env.REVIEW_WARNINGS !== 'false'
+        : fileReview.holdUnvisited !== false,
+  },
+  // how many days of contact data (visits, pending warnings and alerts,
+  // cases, audit entries) to keep, and how often to purge the rest
+  // (see retention.js)
+  retention: {
+    days: Number(env.RETENTION_DAYS || fileRetention.days) || 14,
+    intervalMinutes:
+      Number(env.RETENTION_INTERVAL_MINUTES || fileRetention.intervalMinutes) ||
+      60,
+  },
+  // the ack shape clients get unless they ask (see acks.js):
+  // 1 (each event's own shape) until every client sends ackVersion=2
+  acks: {
+    defaultVersion: Number(env.ACK_VERSION || fileAcks.defaultVersion || 1),
+  },
+};
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug', 'trace'];
+[config.logging.level, ...Object.values(config.logging.modules)].forEach(
+  (level) => {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(
+        `Unknown log level ${level} (expected one of ${LOG_LEVELS.join(', ')})`
+      );
+    }
+  }
+);
+if (!['json', 'pretty'].includes(config.logging.format)) {
+  throw new Error(`Unknown log format ${config.logging.format}`);
+}
+// a window of zero (or less) days would purge everything on each run
+if (!(config.retention.days > 0 && config.retention.intervalMinutes > 0)) {
+  throw new Error('Retention days and interval minutes must be positive');
+}
+if (![1, 2].includes(config.acks.defaultVersion)) {
+  throw new Error(`Unknown ack version ${config.acks.defaultVersion}`);
+}
+
+// Each tenant (an organization: a shelter, a campus...) gets its own
+// socket.io namespace, graph, pending queues and cases, so tenants never
+// see each other's Rooms. Without configured tenants there is one,
+// named DEFAULT_TENANT, on the root namespace and the configured graph
+// (exactly how the server ran before tenants).
+// LCT_TENANTS=shelter,campus overrides config.json's list
+// (each tenant named there gets namespace /<name> and graph <name>).
+const DEFAULT_TENANT = 'default';
+
+function tenantOf(tenant) {
+  const isDefault = tenant.name == DEFAULT_TENANT;
+  return {
+    name: tenant.name,
+    namespace: tenant.namespace || (isDefault ? '/' : `/${tenant.name}`),
+    graph: {
+      ...config.graph,
+      name: isDefault ? config.graph.name : tenant.name,
+      ...(tenant.graph || {}),
+    },
+    exposure: { ...config.exposure, ...(tenant.exposure || {}) },
+    rooms: { ...config.rooms, ...(tenant.rooms || {}) },
+  };
+}
+
+function readTenants() {
+  const listed = env.LCT_TENANTS
+    ? env.LCT_TENANTS.split(',').map((name) => ({ name: name.trim() }))
+    : fileTenants;
+  const tenants = (listed.length ? listed : [{ name: DEFAULT_TENANT }]).map(
+    tenantOf
+  );
+  ['name', 'namespace'].forEach((field) => {
+    const values = tenants.map((tenant) => tenant[field]);
+    const duplicate = values.find((value, i) => values.indexOf(value) !== i);
+    if (duplicate || values.some((value) => !value)) {
+      throw new Error(
+        `Each tenant needs its own ${field} (check ${duplicate || 'tenants'})`
+      );
+    }
+  });
+  return tenants;
+}
+
+config.tenants = readTenants();
+
+// Defaults kept for this release only, so a deployment that sets neither
+// keeps running as before; the server logs each one that applies at
+// startup (see README, Migrating), and the next release drops them.
+const MIGRATIONS = [
+  {
+    applies: authRequired === undefined,
+    message:
+      'Unsigned clients are still accepted: set LCT_AUTH_REQUIRED=true once every client has a token (the next release requires tokens)',
+  },
+  {
+    applies: !graphBackend && !redisHost,
+    message:
+      'No REDIS_HOST or GRAPH_BACKEND: using the in-process graph, which loses every visit on restart (the next release refuses to start without one)',
+  },
+];
+config.migrations = MIGRATIONS.filter((migration) => migration.applies).map(
+  (migration) => migration.message
+);
+config.DEFAULT_TENANT = DEFAULT_TENANT;
+
+// a tenant's store names ('<tenant>.pendings' ...); the default tenant
+// keeps the names stores had before tenants ('pendings' ...)
+config.storeNameOf = (tenant, name) =>
+  tenant.name == DEFAULT_TENANT ? name : `${tenant.name}.${name}`;
+
+module.exports = config;
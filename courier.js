@@ -0,0 +1,202 @@
+const base64id = require('base64id');
+const moment = require('moment');
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('courier');
+
+// delivery states, in the order a message normally moves through them
+const SENDING = 'sending';
+const RETRYING = 'retrying';
+const DELIVERED = 'delivered';
+const UNDELIVERED = 'undelivered';
+
+// The Courier gives the exposure protocol at-least-once delivery:
+// each message gets an id and is emitted (with an ack callback) to every
+// connected socket of its recipient (a Room name or a Visitor id).
+// Until the recipient acks (or answers with the next protocol step),
+// the Courier retries with exponential backoff while the recipient stays
+// connected. If the recipient disconnects or retries run out, the message
+// is undelivered and its item stays in the pending queue for next time.
+class Courier {
+  constructor(proxy, options = {}) {
+    this.proxy = proxy;
+    this.retries = options.retries || Number(process.env.DELIVERY_RETRIES) || 5;
+    this.ackTimeout =
+      options.ackTimeout || Number(process.env.DELIVERY_ACK_TIMEOUT) || 5000;
+    this.maxDelay = options.maxDelay || 60000;
+    this.historySize = options.historySize || 100;
+    this.messages = new Map();
+  }
+
+  // what admins see (see the exposeDeliveries event)
+  get deliveries() {
+    return [...this.messages.values()].map((message) => ({
+      messageId: message.messageId,
+      recipient: message.recipient,
+      event: message.event,
+      key: message.key,
+      state: message.state,
+      attempts: message.attempts,
+      retries: Math.max(message.attempts - 1, 0),
+      sentAt: message.sentAt,
+      lastAttemptAt: message.lastAttemptAt,
+      settledAt: message.settledAt,
+    }));
+  }
+
+  // callbacks:
+  //   onDelivered(message) when the recipient acks
+  //   onUndelivered(message) when the recipient is gone or retries run out
+  send(recipient, event, data, callbacks = {}) {
+    const messageId = base64id.generateId();
+    const message = {
+      messageId: messageId,
+      recipient: recipient,
+      event: event,
+      key: data.key,
+      payload: { ...data, messageId: messageId },
+      state: SENDING,
+      attempts: 0,
+      sentAt: moment().toISOString(),
+      callbacks: callbacks,
+    };
+    this.messages.set(messageId, message);
+    this.attempt(message);
+    return message;
+  }
+
+  attempt(message) {
+    if (this.isSettled(message)) {
+      return;
+    }
+    const sockets = this.proxy.recipientSockets(message.recipient);
+    if (!sockets.length) {
+      this.settle(message, UNDELIVERED);
+      return;
+    }
+    if (message.attempts > this.retries) {
+      this.settle(message, UNDELIVERED);
+      return;
+    }
+
+    message.attempts++;
+    message.lastAttemptAt = moment().toISOString();
+    log.debug('Emitting', {
+      event: message.event,
+      messageId: message.messageId,
+      recipient: message.recipient,
+      attempt: message.attempts,
+    });
+    sockets.forEach((socket) =>
+      socket.emit(message.event, message.payload, () =>
+        this.settle(message, DELIVERED)
+      )
+    );
+
+    // no ack in time: back off and try again
+    const delay = Math.min(
+      this.ackTimeout * 2 ** (message.attempts - 1),
+      this.maxDelay
+    );
+    message.timer = setTimeout(() => {
+      if (!this.isSettled(message)) {
+        message.state = RETRYING;
+        this.attempt(message);
+      }
+    }, delay);
+  }
+
+  // the next protocol step counts as an ack, too:
+  // stepThreeRoomListsVisitorsForServer acks stepTwoServerNotifiesRoom
+  // and stepFiveVisitorReceivedAlert acks stepFourServerAlertsVisitor
+  // (without a key, every message sent to the recipient is acked)
+  // a late answer still turns an undelivered message into a delivered one
+  acknowledge({ recipient, events, key }) {
+    this.messages.forEach((message) => {
+      if (
+        message.recipient === recipient &&
+        events.includes(message.event) &&
+        (!key || message.key === key) &&
+        message.state !== DELIVERED
+      ) {
+        message.state = RETRYING;
+        this.settle(message, DELIVERED);
+      }
+    });
+  }
+
+  isSettled(message) {
+    return message.state === DELIVERED || message.state === UNDELIVERED;
+  }
+
+  settle(message, state) {
+    if (this.isSettled(message)) {
+      return;
+    }
+    clearTimeout(message.timer);
+    message.state = state;
+    message.settledAt = moment().toISOString();
+    if (state === DELIVERED) {
+      if (message.callbacks.onDelivered) {
+        message.callbacks.onDelivered(message);
+      }
+    } else {
+      log.info('Undelivered', {
+        event: message.event,
+        messageId: message.messageId,
+        recipient: message.recipient,
+        attempts: message.attempts,
+      });
+      if (message.callbacks.onUndelivered) {
+        message.callbacks.onUndelivered(message);
+      }
+    }
+    this.prune();
+  }
+
+  // forgets the settled messages isForgotten(message) is true for
+  // returns how many were forgotten
+  forgetSettled(isForgotten) {
+    const settled = [...this.messages.values()].filter(
+      (message) => this.isSettled(message) && isForgotten(message)
+    );
+    settled.forEach((message) => this.messages.delete(message.messageId));
+    return settled.length;
+  }
+
+  // forgets messages settled before `before` (epoch ms)
+  forget(before) {
+    return this.forgetSettled(
+      (message) => moment(message.settledAt).valueOf() < before
+    );
+  }
+
+  // forgets settled messages to a Visitor, or about one (pending keys
+  // start with the Visitor's id, see radar.pendingKey)
+  forgetVisitor(visitorId) {
+    return this.forgetSettled(
+      (message) =>
+        message.recipient === visitorId ||
+        String(message.key).startsWith(`${visitorId}|`)
+    );
+  }
+
+  // keep settled messages around (for admins) up to historySize
+  prune() {
+    const settled = [...this.messages.values()].filter((message) =>
+      this.isSettled(message)
+    );
+    settled
+      .slice(0, Math.max(settled.length - this.historySize, 0))
+      .forEach((message) => this.messages.delete(message.messageId));
+  }
+}
+
+module.exports = {
+  Courier,
+  SENDING,
+  RETRYING,
+  DELIVERED,
+  UNDELIVERED,
+};
@@ -0,0 +1,252 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('graph');
+
+// The visit graph:
+//   (:visitor {id})-[:visited {checkIn, checkOut, exit}]->(:room {id})
+// checkIn and checkOut are epoch milliseconds.
+// exit says how the visit ended: left, roomClosed, disconnected or reported
+// (reported visits come from a client's logVisit event).
+// createGraph() returns either a RedisGraph or an in-process graph. Both
+// answer the same few calls with promises of plain rows, so VisitLog (see
+// visits.js) never needs to know which one it is talking to:
+//   logVisit(visit)   adds {visitor, room, checkIn, checkOut, exit}, or
+//                     updates the visit with the same visitor, room and
+//                     checkIn (resolves to the visit)
+//   find({visitor, room, from, to, skip, limit})
+//                     the visits overlapping [from, to), optionally of one
+//                     Visitor or in one Room, oldest first (optionally
+//                     only limit of them, after the first skip)
+//   erase(visitor)    deletes the Visitor and their visits
+//                     (resolves to how many visits went)
+//   purge(before)     deletes visits that ended before `before`, then the
+//                     Visitors left with none (resolves to
+//                     {visits, visitorNodes}: how many went)
+//   countRooms()      how many Rooms have had visits (for health checks)
+// The in-process graph is meant for development (GRAPH_BACKEND=memory), and
+// for this release the default without a Redis host (see config.js): a
+// restart wipes it, and with it every exposure list and every visit
+// review.js checks warnings against.
+function createGraph(options = {}) {
+  if (options.backend === 'redis') {
+    log.info('Using RedisGraph', {
+      graph: options.name,
+      host: options.host,
+      port: options.port,
+    });
+    return new RedisVisitGraph(options);
+  }
+  if (options.backend === 'memory') {
+    log.warn('Using the in-process graph: visits are lost on every restart', {
+      graph: options.name,
+    });
+    return new MemoryVisitGraph(options.name);
+  }
+  throw new Error(
+    options.backend
+      ? `Unknown graph backend ${options.backend} (expected redis or memory)`
+      : 'No visit graph: set REDIS_HOST for RedisGraph, or GRAPH_BACKEND=memory for development (visits are lost on every restart)'
+  );
+}
+
+// a RedisGraph result set as [{column: value}]
+const rowsOf = (results) => {
+  const rows = [];
+  while (results.hasNext()) {
+    const record = results.next();
+    rows.push(
+      record.keys().reduce((a, key) => ({ ...a, [key]: record.get(key) }), {})
+    );
+  }
+  return rows;
+};
+
+// Every query here is built by the server and parameterized:
+// clients never send Cypher.
+class RedisVisitGraph {
+  constructor({ name, host, port, password }) {
+    const RedisGraph = require('redisgraph.js').Graph;
+    this.name = name;
+    this.graph = new RedisGraph(name, host, port, { password: password });
+    // the same error listener as clientOf() in store.js
+    this.graph._client.on('error', (err) =>
+      log.error('RedisGraph error', { graph: name, error: err })
+    );
+  }
+
+  query(cypher, params) {
+    return this.graph.query(cypher, params);
+  }
+
+  logVisit(visit) {
+    return this.query(
+      `MERGE (v:visitor {id: $visitor})
+       MERGE (r:room {id: $room})
+       MERGE (v)-[e:visited {checkIn: $checkIn}]->(r)
+       SET e.checkOut = $checkOut, e.exit = $exit`,
+      visit
+    ).then(() => visit);
+  }
+
+  find({
+    visitor,
+    room,
+    from = 0,
+    to = Number.MAX_SAFE_INTEGER,
+    skip = 0,
+    limit,
+  } = {}) {
+    const params = { from: from, to: to, skip: skip };
+    if (visitor) {
+      params.visitor = visitor;
+    }
+    if (room) {
+      params.room = room;
+    }
+    if (limit) {
+      params.limit = limit;
+    }
+    // ties on checkIn are broken the same way on every page
+    return this.query(
+      `MATCH (v:visitor${visitor ? ' {id: $visitor}' : ''})
+             -[e:visited]->(r:room${room ? ' {id: $room}' : ''})
+       WHERE e.checkIn < $to AND e.checkOut > $from
+       RETURN v.id AS visitor, r.id AS room, e.checkIn AS checkIn,
+              e.checkOut AS checkOut, e.exit AS exit
+       ORDER BY e.checkIn, v.id, r.id
+       SKIP $skip${limit ? ' LIMIT $limit' : ''}`,
+      params
+    ).then(rowsOf);
+  }
+
+  erase(visitor) {
+    return this.query('MATCH (v:visitor {id: $visitor}) DETACH DELETE v', {
+      visitor: visitor,
+    }).then((results) => results._statistics.relationshipsDeleted());
+  }
+
+  purge(before) {
+    const idsOf = (results) => rowsOf(results).map((row) => row.id);
+    return this.query(
+      `MATCH (v:visitor)-[e:visited]->(r:room)
+       WHERE e.checkOut < $before
+       DELETE e`,
+      { before: before }
+    )
+      .then((results) => results._statistics.relationshipsDeleted())
+      .then((visits) =>
+        Promise.all([
+          this.query('MATCH (v:visitor) RETURN v.id AS id'),
+          this.query(
+            'MATCH (v:visitor)-[e:visited]->(r:room) RETURN DISTINCT v.id AS id'
+          ),
+        ])
+          .then(([all, visiting]) => {
+            const kept = idsOf(visiting);
+            const orphans = idsOf(all).filter((id) => !kept.includes(id));
+            return orphans.length
+              ? this.query('MATCH (v:visitor) WHERE v.id IN $ids DELETE v', {
+                  ids: orphans,
+                }).then((results) => results._statistics.nodesDeleted())
+              : 0;
+          })
+          .then((visitorNodes) => ({
+            visits: visits,
+            visitorNodes: visitorNodes,
+          }))
+      );
+  }
+
+  countRooms() {
+    return this.query('MATCH (r:room) RETURN count(r) AS rooms').then(
+      (results) => rowsOf(results)[0].rooms
+    );
+  }
+}
+
+// An in-process stand-in for RedisGraph, for developers and tests:
+// the same calls, over a Map of visits
+class MemoryVisitGraph {
+  constructor(name) {
+    this.name = name;
+    // `${visitor}|${room}|${checkIn}` => visit
+    this.visits = new Map();
+    // like RedisGraph's Room nodes, Rooms outlive their visits
+    this.rooms = new Set();
+  }
+
+  logVisit(visit) {
+    const { visitor, room, checkIn } = visit;
+    this.visits.set(`${visitor}|${room}|${checkIn}`, { ...visit });
+    this.rooms.add(room);
+    return Promise.resolve(visit);
+  }
+
+  find({
+    visitor,
+    room,
+    from = 0,
+    to = Number.MAX_SAFE_INTEGER,
+    skip = 0,
+    limit,
+  } = {}) {
+    const found = [...this.visits.values()]
+      .filter(
+        (visit) =>
+          (!visitor || visit.visitor === visitor) &&
+          (!room || visit.room === room) &&
+          visit.checkIn < to &&
+          visit.checkOut > from
+      )
+      .sort(
+        (a, b) =>
+          a.checkIn - b.checkIn ||
+          a.visitor.localeCompare(b.visitor) ||
+          a.room.localeCompare(b.room)
+      );
+    return Promise.resolve(
+      found
+        .slice(skip, limit ? skip + limit : undefined)
+        .map((visit) => ({ ...visit }))
+    );
+  }
+
+  // deletes the visits that match, resolves to how many went
+  deleteWhere(matches) {
+    let deleted = 0;
+    this.visits.forEach((visit, key) => {
+      if (matches(visit)) {
+        this.visits.delete(key);
+        deleted++;
+      }
+    });
+    return deleted;
+  }
+
+  erase(visitor) {
+    return Promise.resolve(
+      this.deleteWhere((visit) => visit.visitor === visitor)
+    );
+  }
+
+  purge(before) {
+    const visitorsOf = () =>
+      new Set([...this.visits.values()].map((visit) => visit.visitor));
+    const visitorsBefore = visitorsOf().size;
+    const visits = this.deleteWhere((visit) => visit.checkOut < before);
+    return Promise.resolve({
+      visits: visits,
+      visitorNodes: visitorsBefore - visitorsOf().size,
+    });
+  }
+
+  countRooms() {
+    return Promise.resolve(this.rooms.size);
+  }
+}
+
+module.exports = {
+  createGraph,
+  MemoryVisitGraph,
+  RedisVisitGraph,
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const moment = require('moment');
+
+const clc = require('cli-color');
+
+// Leveled, structured logging for the server's modules.
+//   const log = createLogger('radar');
+//   log.info('Room opened', { room, occupancy });
+// Each entry is {time, level, module, msg, ...fields}, written as
+//   json    one JSON object per line (for files and log shippers)
+//   pretty  a colored line per entry (for a developer's terminal)
+// Levels, most to least severe: error, warn, info, debug, trace.
+// A module logs entries at or above its level (see config.logging):
+// LOG_LEVEL sets every module's, LOG_MODULES=radar=debug,api=warn overrides
+// a few, and LOG_LEVEL=silent turns logging off.
+// Personal fields (Visitor ids and names, tokens, addresses...) are
+// redacted wherever they appear in an entry's fields: each value becomes a
+// short digest, stable for the life of the process, so entries about one
+// Visitor still line up without naming them. LOG_REDACT=false turns this off
+// (for development only).
+
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const SILENT = 'silent';
+
+// fields whose values identify a person
+// (pending keys, recipients and socket ids embed Visitor ids)
+const PERSONAL_FIELDS = [
+  'address',
+  'contact',
+  'email',
+  'exposedVisitors',
+  'id',
+  'ip',
+  'key',
+  'name',
+  'recipient',
+  'socketId',
+  'token',
+  'visitor',
+  'visitorId',
+  'visitors',
+];
+
+const COLORS = {
+  error: clc.red.bold,
+  warn: clc.yellow,
+  info: clc.cyan,
+  debug: clc.blackBright,
+  trace: clc.blackBright,
+};
+
+// a fresh salt each run, so digests cannot be matched across restarts
+const salt = crypto.randomBytes(16);
+const digestOf = (value) =>
+  `~${crypto
+    .createHmac('sha256', salt)
+    .update(String(value))
+    .digest('hex')
+    .slice(0, 8)}`;
+
+// every primitive in value becomes its digest
+const redactAll = (value) =>
+  value === null || value === undefined
+    ? value
+    : Array.isArray(value)
+    ? value.map(redactAll)
+    : typeof value === 'object'
+    ? Object.entries(value).reduce(
+        (a, [key, v]) => ({ ...a, [key]: redactAll(v) }),
+        {}
+      )
+    : digestOf(value);
+
+// a copy of fields with every personal field redacted (at any depth)
+function redact(fields) {
+  if (Array.isArray(fields)) {
+    return fields.map(redact);
+  }
+  if (!fields || typeof fields !== 'object') {
+    return fields;
+  }
+  if (fields instanceof Error) {
+    return { message: fields.message, stack: fields.stack };
+  }
+  return Object.entries(fields).reduce(
+    (a, [key, value]) => ({
+      ...a,
+      [key]: PERSONAL_FIELDS.includes(key) ? redactAll(value) : redact(value),
+    }),
+    {}
+  );
+}
+
+// Errors do not survive JSON.stringify: keep their message and stack
+const serialize = (fields) =>
+  Object.entries(fields).reduce(
+    (a, [key, value]) => ({
+      ...a,
+      [key]:
+        value instanceof Error
+          ? { message: value.message, stack: value.stack }
+          : value,
+    }),
+    {}
+  );
+
+const pretty = (entry) => {
+  const { time, level, module, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+    .join(' ');
+  return [
+    moment(time).format('HH:mm:ss.SSS'),
+    COLORS[level](level.toUpperCase().padEnd(5)),
+    clc.magenta(module.padEnd(8)),
+    msg,
+    details && clc.blackBright(details),
+  ]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// settings are {level, format, modules, redact} (see config.logging);
+// configure() overrides them for every logger, even ones already created
+let settings = { ...require('./config').logging };
+
+function configure(options = {}) {
+  settings = { ...settings, ...options };
+  return settings;
+}
+
+const levelOf = (module) => settings.modules[module] || settings.level;
+
+const enabled = (module, level) => {
+  const threshold = levelOf(module);
+  return (
+    threshold != SILENT && LEVELS.indexOf(level) <= LEVELS.indexOf(threshold)
+  );
+};
+
+// errors and warnings go to stderr (so a CLI's stdout stays clean)
+function write(entry) {
+  const line =
+    settings.format == 'json' ? JSON.stringify(entry) : pretty(entry);
+  if (entry.level == 'error' || entry.level == 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// a logger for one module: log.<level>(msg, fields)
+// fields may also be an Error (logged as {error: {message, stack}})
+function createLogger(module) {
+  return LEVELS.reduce(
+    (log, level) => ({
+      ...log,
+      [level]: (msg, fields = {}) => {
+        if (!enabled(module, level)) {
+          return;
+        }
+        const details = fields instanceof Error ? { error: fields } : fields;
+        write({
+          time: moment().toISOString(),
+          level: level,
+          module: module,
+          msg: msg,
+          ...(settings.redact ? redact(details) : serialize(details)),
+        });
+      },
+    }),
+    {
+      module: module,
+      enabled: (level) => enabled(module, level),
+    }
+  );
+}
+
+module.exports = {
+  configure,
+  createLogger,
+  LEVELS,
+  PERSONAL_FIELDS,
+  redact,
+};
@@ -0,0 +1,127 @@
+// Which roles may call which socket events.
+// Each event registered in server.js declares a permission:
+//   roles  the roles (see auth.js) that may call the event
+//   own    for Rooms, the payload field that must name the caller's own Room
+//          (so a Room can open, close or alert only on its own behalf)
+//   self   for Visitors, a function of the payload that returns the Visitor
+//          id it names, which must be the caller's own id
+// Calls that fail the check never reach the handler: the caller gets a
+// FORBIDDEN ack and the call goes into the audit log (see audit.js).
+// Nor do calls whose payload does not match the event's schema
+// (see schemas.js): the caller gets an INVALID_PAYLOAD ack naming the field.
+// (see acks.js for the ack's shape)
+
+const { failure, responder } = require('./acks');
+const { validatePayload } = require('./schemas');
+
+const ANYONE = { roles: ['room', 'visitor', 'admin'] };
+const ADMIN = { roles: ['admin'] };
+const VISITOR = { roles: ['visitor'] };
+const OWN_ROOM = { roles: ['room'], own: 'room' };
+// a Room for itself, or an admin for any Room
+const ROOM_MANAGER = { roles: ['room', 'admin'], own: 'room' };
+// a Visitor answering their own alerts (older Visitors send only their id)
+const OWN_ALERTS = {
+  roles: ['visitor'],
+  self: (data) => (data && typeof data === 'object' ? data.visitorId : data),
+};
+// a Visitor warning Rooms on their own behalf (a warning naming another
+// Visitor would be checked against that Visitor's visits)
+const OWN_WARNINGS = {
+  roles: ['visitor'],
+  self: (data) => data && data.visitor && data.visitor.id,
+};
+
+// a Visitor logging their own visits (a visit naming another Visitor
+// would put that Visitor in a Room they never entered)
+const OWN_VISITS = {
+  roles: ['visitor'],
+  self: (data) => data && data.visitor,
+};
+
+// returns null if identity may call the event with this payload,
+// otherwise the reason it may not
+function authorize(identity, permission, data) {
+  const role = identity && identity.role;
+  if (!role || !permission.roles.includes(role)) {
+    return `${role || 'An unidentified client'} may not call this event`;
+  }
+  if (role == 'room' && permission.own) {
+    const room = data && data[permission.own];
+    if (room !== identity.name) {
+      return `Room ${identity.name} may not act for Room ${room}`;
+    }
+  }
+  if (role == 'visitor' && permission.self) {
+    if (permission.self(data) !== identity.id) {
+      return 'A Visitor may not act for another Visitor';
+    }
+  }
+  return null;
+}
+
+// what a forbidden caller got back before acks.js (and still gets over HTTP)
+const forbidden = (event, reason) => ({
+  event: event,
+  result: false,
+  error: { code: 'FORBIDDEN', message: reason },
+});
+
+// what a caller with a malformed payload got back before acks.js
+const invalidPayload = (event, error) => ({
+  event: event,
+  result: false,
+  error: error,
+});
+
+// returns on(event, permission, handler), which registers handler
+// on the socket behind the permission check and the payload schema
+// onForbidden(event, reason, data) runs for each refused call
+// onInvalid(event, error) runs for each malformed payload
+// reply answers the caller (see acks.responder)
+// (registering an event without a schema throws)
+function guard(
+  socket,
+  onForbidden,
+  onInvalid = () => {},
+  reply = responder(socket)
+) {
+  return (event, permission, handler) => {
+    validatePayload(event, undefined);
+    socket.on(event, (...args) => {
+      const ack =
+        typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const reason = authorize(socket.identity, permission, args[0]);
+      if (reason) {
+        onForbidden(event, reason, args[0]);
+        reply(ack, failure(event, 'FORBIDDEN', reason));
+        return;
+      }
+      const error = validatePayload(event, args[0]);
+      if (error) {
+        onInvalid(event, error);
+        reply(
+          ack,
+          failure(event, error.code, error.message, { field: error.field }),
+          invalidPayload(event, error)
+        );
+        return;
+      }
+      handler(...args, ...(ack ? [ack] : []));
+    });
+  };
+}
+
+module.exports = {
+  ADMIN,
+  ANYONE,
+  authorize,
+  forbidden,
+  guard,
+  OWN_ALERTS,
+  OWN_ROOM,
+  OWN_VISITS,
+  OWN_WARNINGS,
+  ROOM_MANAGER,
+  VISITOR,
+};
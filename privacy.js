@@ -0,0 +1,81 @@
+const base64id = require('base64id');
+const moment = require('moment');
+
+const { visitorIdOf } = require('./radar');
+
+// A Visitor's requests to see, or to erase, what the server holds about
+// them (the requestMyData and eraseMyData events, GET and DELETE /api/me):
+//   visits           their visits in the visit graph (and in progress)
+//   pendingAlerts    alerts queued for them
+//   pendingWarnings  warnings they sent that their Room has not answered
+//   heldWarnings     warnings they sent that are held for review
+//   cases            the exposure cases that name them (see
+//                    CaseRegistry.referencesOf for what is left out)
+// The Visitor is always the caller (their token's id), never a payload
+// field, so no one can read or erase another Visitor's data.
+// Erasure also forgets the Courier's settled messages to or about them,
+// scrubs their id, name and address from the audit log's entries, and
+// withdraws the warnings it removes from their cases (so the cases stop
+// waiting on those Rooms).
+// Each erasure leaves a receipt in the audit log, {receiptId, erased},
+// with the counts but nothing that names the Visitor; the Visitor gets the
+// receipt (so they can show the erasure was done).
+
+// resolves to everything the tenant holds about the Visitor
+function exportVisitorData(tenant, visitorId) {
+  const { S, cases, review, visitLog } = tenant;
+  return visitLog.visitsOf(visitorId).then((visits) => {
+    const pending = S.pendingOf(visitorId);
+    return {
+      visitor: visitorId,
+      exportedAt: moment().toISOString(),
+      visits: visits,
+      pendingAlerts: pending.alerts,
+      pendingWarnings: pending.warnings,
+      heldWarnings: review
+        .list()
+        .filter((held) => visitorIdOf(held.visitor) === visitorId),
+      cases: cases.referencesOf(visitorId),
+    };
+  });
+}
+
+// removes everything the tenant holds about the Visitor
+// (the graph goes first: if it cannot be reached, nothing is erased)
+// resolves to the receipt: {receiptId, at, erased} where erased counts
+// how many of each were removed
+function eraseVisitorData(tenant, visitorId) {
+  const { S, cases, review, audit, visitLog } = tenant;
+  return visitLog.erase(visitorId).then((visits) => {
+    const pending = S.erasePending(visitorId);
+    const held = review
+      .list()
+      .filter((held) => visitorIdOf(held.visitor) === visitorId)
+      .map((held) => review.take(held.reviewId));
+    [...pending.warnings, ...held]
+      .filter((warning) => warning.caseId)
+      .forEach((warning) =>
+        cases.roomReviewed(warning.caseId, warning.room, 'withdrawn')
+      );
+    const erased = {
+      visits: visits,
+      pendingAlerts: pending.alerts.length,
+      pendingWarnings: pending.warnings.length,
+      heldWarnings: held.length,
+      cases: cases.forgetVisitor(visitorId),
+      deliveries: S.courier.forgetVisitor(visitorId),
+      audit: audit.forget(visitorId),
+    };
+    const { receiptId, at } = audit.record(
+      'eraseMyData',
+      { role: 'visitor' },
+      { receiptId: base64id.generateId(), erased: erased }
+    );
+    return { receiptId: receiptId, at: at, erased: erased };
+  });
+}
+
+module.exports = {
+  eraseVisitorData,
+  exportVisitorData,
+};
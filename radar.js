@@ -1,98 +1,240 @@
 const moment = require('moment');
-
-const clc = require('cli-color');
-const success = clc.red.green;
-const error = clc.red.bold;
-const warn = clc.yellow;
-const info = clc.cyan;
-const highlight = clc.magenta;
-// globals
-let namespace = '/';
-
-const getNow = () => {
-  return moment().format('HH:mm:ss:SSS:');
+const { Courier } = require('./courier');
+const { createLogger } = require('./logger');
+
+const log = createLogger('radar');
+
+// the io room every admin socket joins, so admins hear about every Room
+// (e.g., updatedOccupancy) without the broadcast reaching every Visitor
+const ADMINS = 'lct:admins';
+
+// Visitors show up as either an id or a {visitor, id} object
+const visitorIdOf = (visitor) =>
+  visitor && typeof visitor === 'object' ? visitor.id : visitor;
+
+// a pending item is unique per (visitor, room, exposure date(s))
+const pendingKey = ({ visitor, visitorId, room, exposureDates }) =>
+  [
+    visitorIdOf(visitor) || visitorId,
+    room,
+    JSON.stringify(exposureDates || null),
+  ].join('|');
+
+// does a pending item match what a Room or Visitor acknowledged?
+// ack can name keys, or a visitor (and optionally the exposure dates)
+// no ack means a legacy client acknowledged whatever it was delivered
+const isAcknowledged = (item, ack) => {
+  if (!ack) {
+    return !!item.deliveredAt;
+  }
+  if (ack.keys) {
+    return ack.keys.includes(item.key);
+  }
+  if (ack.key) {
+    return ack.key === item.key;
+  }
+  if (ack.visitor) {
+    return (
+      visitorIdOf(ack.visitor) === visitorIdOf(item.visitor) &&
+      (!ack.exposureDates ||
+        JSON.stringify(ack.exposureDates) ===
+          JSON.stringify(item.exposureDates))
+    );
+  }
+  if (ack.room) {
+    return ack.room === item.room;
+  }
+  return true;
 };
 
-function printJson(json) {
-  return JSON.stringify(json, null, 3);
-}
+// warnings belong to one exposure case, alerts to one or more
+const caseIdsOf = (item) => item.caseIds || (item.caseId ? [item.caseId] : []);
 
-const logResults = (function () {
-  let logResults = [];
-  let title = 'Log Results';
-  let collapsed = true;
-
-  function entry(message) {
-    {
-      this.time = moment().format('HH:mm:ss:SSS');
-      this.message = message.text;
-      this.level = message.level || 0;
-      this.type = message.type || 'output';
-    }
+// snapshots saved before queues held one item per Room/Visitor
+const toQueue = (value) =>
+  (Array.isArray(value) ? value : [value]).map((item) => ({
+    ...item,
+    key: item.key || pendingKey(item),
+  }));
+
+class ServerProxy {
+  // namespace is the tenant's socket.io namespace (see config.tenants)
+  constructor(io, store, cases, namespace = '/') {
+    this.io = io;
+    this.namespace = namespace;
+    this.nsp = io.of(namespace);
+    // store persists the pending Maps so a restart (nodemon or
+    // uncaughtException) does not drop warnings for offline Rooms/Visitors
+    this.store = store;
+    // cases (a CaseRegistry) records when protocol steps reach their recipients
+    this.cases = cases;
+    this.pendingRoomAlerts = new Map();
+    this.pendingVisitorWarnings = new Map();
+    // at-least-once delivery for the exposure protocol steps
+    this.courier = new Courier(this);
   }
 
-  return {
-    hasData: function () {
-      return logResults.length;
-    },
+  // called once at startup (before the server listens)
+  // so handlePendings() and isVisitorPending() see items cached before a restart
+  restorePendings() {
+    if (!this.store) {
+      return Promise.resolve(0);
+    }
+    return this.store.load().then((snapshot) => {
+      if (snapshot) {
+        this.pendingRoomAlerts = new Map(
+          (snapshot.pendingRoomAlerts || []).map(([id, value]) => [
+            id,
+            toQueue(value),
+          ])
+        );
+        this.pendingVisitorWarnings = new Map(
+          (snapshot.pendingVisitorWarnings || []).map(([room, value]) => [
+            room,
+            toQueue(value),
+          ])
+        );
+      }
+      const count =
+        this.pendingCount(this.pendingRoomAlerts) +
+        this.pendingCount(this.pendingVisitorWarnings);
+      log.info('Restored pending warnings/alerts', {
+        namespace: this.namespace,
+        count: count,
+      });
+      return count;
+    });
+  }
 
-    entitle: function (caption, collapsed = true) {
-      if (!this.hasData()) title = caption;
-      this.collapsed = collapsed;
-    },
+  // total items across every queue in a pending Map
+  pendingCount(pendings) {
+    return [...pendings.values()].reduce((a, c) => a + c.length, 0);
+  }
 
-    //{type:'', level:'', date:'', message:''}
-    add: function (e) {
-      logResults.push(new entry(e));
-    },
+  // pending Maps hold an ordered queue per Room (or Visitor)
+  // returns the queued item, or the existing one if this is a duplicate
+  enqueuePending(pendings, id, data) {
+    const queue = pendings.get(id) || [];
+    const key = pendingKey(data);
+    const existing = queue.find((item) => item.key === key);
+    if (existing) {
+      log.debug('Already pending', { key: key });
+      // the same alert can answer more than one exposure case
+      if (data.caseIds) {
+        existing.caseIds = [
+          ...new Set([...caseIdsOf(existing), ...data.caseIds]),
+        ];
+        this.persistPendings();
+      }
+      return existing;
+    }
+    const item = { ...data, key: key, pendedAt: moment().toISOString() };
+    queue.push(item);
+    pendings.set(id, queue);
+    this.persistPendings();
+    return item;
+  }
 
-    clear: function () {
-      logResults = [];
-    },
+  // removes acknowledged items from one queue (and the queue once empty)
+  // returns the removed items
+  dequeuePending(pendings, id, ack) {
+    const queue = pendings.get(id) || [];
+    const removed = queue.filter((item) => isAcknowledged(item, ack));
+    if (!removed.length) {
+      return removed;
+    }
+    const remaining = queue.filter((item) => !removed.includes(item));
+    if (remaining.length) {
+      pendings.set(id, remaining);
+    } else {
+      pendings.delete(id);
+    }
+    this.persistPendings();
+    return removed;
+  }
 
-    show: function (clear = true) {
-      if (this.collapsed) {
-        console.groupCollapsed(title);
-      } else {
-        console.group(title);
+  // removes every item isExpired(item) is true for from a pending Map
+  // (e.g., once its exposure dates fall outside the retention window)
+  // returns the removed items
+  expirePending(pendings, isExpired) {
+    const removed = [];
+    pendings.forEach((queue, id) => {
+      const remaining = queue.filter((item) => !isExpired(item));
+      if (remaining.length == queue.length) {
+        return;
       }
-      console.table(logResults);
-      console.groupEnd();
-      if (clear) {
-        logResults = [];
+      removed.push(...queue.filter((item) => isExpired(item)));
+      if (remaining.length) {
+        pendings.set(id, remaining);
+      } else {
+        pendings.delete(id);
       }
-    },
-  };
-})();
+    });
+    if (removed.length) {
+      this.persistPendings();
+    }
+    return removed;
+  }
 
-class ServerProxy {
-  constructor(io) {
-    this.io = io;
-    this.pendingRoomAlerts = new Map();
-    this.pendingVisitorWarnings = new Map();
+  // a Visitor's pending items: the alerts queued for them
+  // and the warnings they sent (e.g., for requestMyData)
+  pendingOf(visitorId) {
+    return {
+      alerts: this.pendingRoomAlerts.get(visitorId) || [],
+      warnings: [...this.pendingVisitorWarnings.values()]
+        .flat()
+        .filter((warning) => visitorIdOf(warning.visitor) === visitorId),
+    };
   }
 
-  get sockets() {
-    return Object.entries(this.io.nsps[namespace].adapter.nsp.sockets).reduce(
-      (a, c) => {
-        let query = c[1].handshake.query;
-        let b = {
-          id: c[0],
-          room: query.room,
-          visitor: query.visitor,
-          namespace: query.nsp,
-          connected: c[1].connected,
-          occupiedRooms: c[1].rooms,
-        };
-        a.push(b);
-        return a;
-      },
-      []
+  // removes a Visitor's pending items (e.g., for eraseMyData)
+  // returns {alerts, warnings}: the removed items
+  erasePending(visitorId) {
+    const alerts = this.pendingRoomAlerts.get(visitorId) || [];
+    if (alerts.length) {
+      this.pendingRoomAlerts.delete(visitorId);
+      this.persistPendings();
+    }
+    const warnings = this.expirePending(
+      this.pendingVisitorWarnings,
+      (warning) => visitorIdOf(warning.visitor) === visitorId
     );
+    return { alerts: alerts, warnings: warnings };
+  }
+
+  // called after every change to either pending Map
+  persistPendings() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    return this.store
+      .save({
+        pendingRoomAlerts: [...this.pendingRoomAlerts],
+        pendingVisitorWarnings: [...this.pendingVisitorWarnings],
+      })
+      .catch((err) => {
+        log.error('Unable to persist pendings', err);
+      });
+  }
+
+  get sockets() {
+    return Object.entries(this.nsp.adapter.nsp.sockets).reduce((a, c) => {
+      let query = c[1].handshake.query;
+      let b = {
+        id: c[1].client.id,
+        room: query.room,
+        visitor: query.visitor,
+        namespace: this.namespace,
+        connected: c[1].connected,
+        occupiedRooms: c[1].rooms,
+      };
+      a.push(b);
+      return a;
+    }, []);
   }
 
   get rawSockets() {
-    let x = [...Object.entries(this.io.nsps[namespace].adapter.nsp.sockets)];
+    let x = [...Object.entries(this.nsp.adapter.nsp.sockets)];
     return x;
   }
 
@@ -108,7 +250,7 @@ class ServerProxy {
   // also, Visitors also have rooms with generated IDs
   // but they will appear visitors (below), and not in rooms
   get rooms() {
-    return this.io.nsps[namespace].adapter.rooms;
+    return this.nsp.adapter.rooms;
   }
 
   // online sockets that represent Visitors
@@ -123,19 +265,52 @@ class ServerProxy {
     return a.filter((v) => o[v.room]);
   }
 
+  // connected sockets that answer for a Room name or a Visitor id
+  recipientSockets(recipient) {
+    return this.rawSockets
+      .map((entry) => entry[1])
+      .filter(
+        (socket) =>
+          socket.connected &&
+          (socket.client.id === recipient ||
+            socket.handshake.query.room === recipient)
+      );
+  }
+
+  // outside the root namespace, socket.io prefixes socket ids with the
+  // namespace (/shelter#<id>), but Rooms and Visitors know only the bare id
+  socketIdOf(id) {
+    const prefix = `${this.namespace}#`;
+    return this.namespace == '/' || String(id).startsWith(prefix)
+      ? id
+      : prefix + id;
+  }
+
   getSocket(id) {
-    return this.io.nsps[namespace].adapter.nsp.sockets[id];
+    return this.nsp.adapter.nsp.sockets[this.socketIdOf(id)];
   }
 
   isOpen(id) {
     return this.openRooms.filter((v) => v.id == id).length;
   }
 
+  // ids of the Visitor sockets in a Room
+  // (its io room also holds the Room's own socket)
+  occupantsOf(room) {
+    const members = this.rooms[room];
+    return members
+      ? Object.keys(members.sockets).filter((id) => {
+          const socket = this.nsp.sockets[id];
+          return socket && socket.handshake.query.visitor;
+        })
+      : [];
+  }
+
   getOccupancy(room) {
     if (!room) {
       throw 'No room name specified';
     }
-    return this.rooms[room].length;
+    return this.occupantsOf(room).length;
   }
 
   // called by server.onExposureWarning and server.onAlertVisitor
@@ -178,11 +353,11 @@ class ServerProxy {
         return 'ALERTED';
       } else {
         // cache the Visitor warning
-        this.pendingRoomAlerts.set(visitor.id, data);
-        console.warn(`${visitor.visitor} is offline. Caching event.`);
-        console.group('Pending Warnings');
-        console.log(printJson([...this.pendingRoomAlerts]));
-        console.groupEnd();
+        this.enqueuePending(this.pendingRoomAlerts, visitor.id, data);
+        log.info('Visitor is offline: alert pending', {
+          visitor: visitor.id,
+          room: room,
+        });
 
         return 'PENDING';
       }
@@ -201,47 +376,109 @@ class ServerProxy {
 
         return 'WARNED';
       } else {
-        this.pendingVisitorWarnings.set(room, {
+        this.enqueuePending(this.pendingVisitorWarnings, room, {
           room: room,
           reason: reason,
           visitor: visitor,
           exposureDates: exposureDates,
         });
-        console.warn(`${room} is closed. Caching event.`);
-        console.group('Pending Warnings');
-        console.log(printJson([...this.pendingVisitorWarnings]));
-        console.groupEnd();
+        log.info('Room is closed: warning pending', { room: room });
 
         return 'PENDING';
       }
     }
   }
 
+  // hands a queued item to the Courier and tracks it as delivered once
+  // the recipient acks; the item stays queued until its step ack arrives
+  // (undelivered items simply wait in the queue for handlePendings())
+  deliver(recipient, event, item, message = item) {
+    return this.courier.send(recipient, event, message, {
+      onDelivered: () => {
+        item.deliveredAt = moment().toISOString();
+        item.deliveries = (item.deliveries || 0) + 1;
+        this.persistPendings();
+        this.recordDelivery(event, recipient, item);
+      },
+      onUndelivered: () => {
+        log.debug('Undelivered: remains pending', {
+          key: item.key,
+          recipient: recipient,
+        });
+      },
+    });
+  }
+
+  // lets the case registry know a protocol step reached its recipient
+  recordDelivery(event, recipient, item) {
+    if (!this.cases) {
+      return;
+    }
+    caseIdsOf(item).forEach((caseId) => {
+      if (event == 'stepTwoServerNotifiesRoom') {
+        this.cases.roomDelivered(caseId, recipient);
+      } else if (event == 'stepFourServerAlertsVisitor') {
+        this.cases.visitorDelivered(caseId, recipient);
+      }
+    });
+  }
+
+  // delivers only this Visitor's alerts
+  // (stepFiveVisitorReceivedAlert removes them from the queue)
   isVisitorPending(visitorId) {
-    const exposedVisitor = this.pendingRoomAlerts.get(visitorId);
-    if (exposedVisitor) {
-      // Visitor expects:
-      // const { room, exposedVisitor } = exposure;
-      const exposure = {
-        room: exposedVisitor.room,
-        exposedVisitor: visitorId,
-      };
-      // alert Visitor
-      this.stepMessage(visitorId, 'stepFourServerAlertsVisitor', exposure);
+    const alerts = this.pendingRoomAlerts.get(visitorId);
+    if (!alerts) {
+      return 0;
+    }
+    alerts.forEach((alert) => this.deliverAlert(visitorId, alert));
+    return alerts.length;
+  }
 
-      this.deletePendingVisitorWarning(visitorId, 'isVisitorPending');
+  deliverAlert(visitorId, alert) {
+    // alerts cached by onAlertVisitor go out as they came in
+    if (alert.event == 'exposureAlert') {
+      return this.deliver(visitorId, alert.event, alert);
     }
+    // Visitor expects:
+    // const { room, exposedVisitor } = exposure;
+    const exposure = {
+      room: alert.room,
+      exposedVisitor: visitorId,
+      key: alert.key,
+      caseIds: caseIdsOf(alert),
+      risk: alert.risk,
+    };
+    // alert Visitor
+    return this.deliver(
+      visitorId,
+      'stepFourServerAlertsVisitor',
+      alert,
+      exposure
+    );
   }
 
-  handlePendings(query) {
-    console.log('Checking for pending warnings...');
+  // admin action: delivers one queued item now, whatever its history
+  // queue is 'warnings' (pendingVisitorWarnings, by Room name)
+  // or 'alerts' (pendingRoomAlerts, by Visitor id)
+  // returns the Courier's message (its state says whether the recipient
+  // is online), or null if nothing is queued under that key
+  forceDeliver(queue, id, key) {
+    const pendings =
+      queue == 'warnings'
+        ? this.pendingVisitorWarnings
+        : this.pendingRoomAlerts;
+    const item = (pendings.get(id) || []).find((i) => i.key === key);
+    if (!item) {
+      return null;
+    }
+    return queue == 'warnings'
+      ? this.deliver(id, 'stepTwoServerNotifiesRoom', item)
+      : this.deliverAlert(id, item);
+  }
 
+  handlePendings(query) {
     // handle Room
     if (query.room) {
-      console.log(
-        'Pending Visitor Warnings:',
-        printJson([...this.pendingVisitorWarnings])
-      );
       // record Room state
       query.closed = this.isOpen(query.id);
 
@@ -249,63 +486,50 @@ class ServerProxy {
         let msg = `...Nothing pending for ${query.room} (which is ${
           this.isOpen(query.id) ? 'open' : 'closed'
         }).`;
-        console.log(msg);
+        log.debug('Nothing pending for Room', { room: query.room });
         return msg;
       }
 
-      console.log(
-        warn(
-          `Handling ${query.room}'s ${this.pendingVisitorWarnings.size} Pending Warnings:`
-        )
-      );
-      this.pendingVisitorWarnings.forEach((value, key) => {
+      // only this Room's warnings: other Rooms' warnings stay untouched
+      const warnings = this.pendingVisitorWarnings.get(query.room);
+      log.info('Delivering pending warnings', {
+        room: query.room,
+        count: warnings.length,
+      });
+      warnings.forEach((value) => {
         // Room.vue expects this data:
         // const { exposureDates, visitor, reason, room } = data;
-
-        this.stepMessage(query.room, 'stepTwoServerNotifiesRoom', value);
-        this.pendingVisitorWarnings.delete(key);
-        console.log(warn(`Deleting ${value} pending warning`));
+        // stepThreeRoomListsVisitorsForServer removes it from the queue
+        this.deliver(query.room, 'stepTwoServerNotifiesRoom', value);
       });
+      return `...Delivered ${warnings.length} pending warnings to ${query.room}`;
     }
     // handle Visitor or Admin
     else if (query.visitor || query.admin) {
-      console.log(
-        'Pending Visitor Warnings:',
-        printJson([...this.pendingRoomAlerts])
-      );
-
       if (
         !this.pendingRoomAlerts.size ||
         !this.pendingRoomAlerts.has(query.id)
       ) {
         let msg = `...Nothing pending for Visitor ${query.visitor}`;
-        console.log(msg);
+        log.debug('Nothing pending for Visitor', { visitor: query.id });
         return msg;
       }
 
-      this.pendingRoomAlerts.forEach((value, key) => {
-        // const message = {
-        //   visitor: key,
-        //   exposureDates: value.message,
-        //   room: '',
-        // };
-        this.privateMessage('exposureAlert', value);
-        this.pendingRoomAlerts.delete(key);
-      });
+      // only this Visitor's alerts: other Visitors' alerts stay untouched
+      const count = this.isVisitorPending(query.id);
+      return `...Delivered ${count} pending alerts to Visitor ${query.visitor}`;
     }
   }
 
   notifyRoom(data) {
     const { room } = data;
     try {
-      console.group(`[${getNow()}] EVENT: notifyRoom from ${room}`);
+      log.debug('notifyRoom', { room: room });
       this.privateMessage(room, 'notifyRoom', data);
       return `${room} WARNED`;
     } catch (error) {
-      console.error(error);
+      log.error('notifyRoom failed', error);
       return error;
-    } finally {
-      console.groupEnd();
     }
   }
 
@@ -316,16 +540,10 @@ class ServerProxy {
     }
 
     if (query.admin || query.visitor || query.room) {
-      console.log(' ');
-      console.log(
-        highlight(
-          moment().format('HH:mm:ss:SSS'),
-          'In connection handler: Opening connection to a Room for:',
-          query.admin || query.visitor || query.room,
-          'using socketId:',
-          query.id
-        )
-      );
+      log.debug('Opening connection to a Room', {
+        name: query.admin || query.visitor || query.room,
+        id: query.id,
+      });
     }
 
     this.openMyRoom();
@@ -333,103 +551,121 @@ class ServerProxy {
 
   // Event Heloers
   privateMessage(event, message) {
-    console.info(`Emitting ${event} to ${message.room} with:`);
-    console.log(printJson(message));
-    console.log('Visitors', printJson(this.visitors));
+    log.debug('Emitting', { event: event, room: message.room });
+    log.trace('Message', { message: message });
 
     // note: cannot attach callback to namespace broadcast event
-    this.io.to(message.room).emit(event, message);
+    this.nsp.to(message.room).emit(event, message);
   }
 
   roomIdsIncludeSocket(roomName, id) {
     try {
-      const result = this.rooms[roomName] && this.rooms[roomName].sockets[id];
+      const result =
+        this.rooms[roomName] &&
+        this.rooms[roomName].sockets[this.socketIdOf(id)];
       return result;
     } catch (error) {
-      console.error(error);
-      console.log('Returning false');
+      log.error('Unable to read io room membership', error);
       return false;
     }
   }
 
   roomIsOnline(id) {
-    return this.io.nsps[namespace].adapter.nsp.sockets[id];
+    return this.nsp.adapter.nsp.sockets[this.socketIdOf(id)];
   }
 
   socketIsOnline(id) {
-    return this.io.nsps[namespace].sockets[id];
+    return this.nsp.sockets[this.socketIdOf(id)];
   }
 
   exposeOpenRooms() {
     const openRooms = this.openRooms;
-    this.io.of(namespace).emit('openRoomsExposed', openRooms);
+    this.nsp.emit('openRoomsExposed', openRooms);
     return openRooms;
   }
 
   exposeAvailableRooms() {
-    this.io.of(namespace).emit('availableRoomsExposed', this.available);
+    this.nsp.emit('availableRoomsExposed', this.available);
   }
 
-  updateOccupancy(room) {
-    if (room && this.rooms[room]) {
-      let occupancy = this.rooms.length || 0;
-      // sending to all clients in namespace 'myNamespace', including sender
-      this.io.of(namespace).emit('updatedOccupancy', {
-        room: room,
-        occupancy: occupancy,
-      });
-      return occupancy;
+  // tells the Room, its occupants and admins (not the whole namespace)
+  // how many Visitors are in the Room now
+  updateOccupancy(room, capacity = null) {
+    if (!room) {
+      return 0;
     }
-    return 0;
+    const occupancy = this.getOccupancy(room);
+    this.nsp.to(room).to(ADMINS).emit('updatedOccupancy', {
+      room: room,
+      occupancy: occupancy,
+      capacity: capacity,
+    });
+    return occupancy;
   }
 
   emit(payload) {
     this.socket.emit(payload.event, payload.message, payload.ack);
   }
 
+  // queues the warning for its Room and returns the queued item (with its key)
   setPendingVisitorWarning(data) {
-    console.log(warn(`Adding ${data.room} to pendingVisitorWarnings Map`));
-    console.log(warn(`pendingVisitorWarnings Map:`));
-    this.pendingVisitorWarnings.set(data.room, data);
-    console.log(warn(printJson([...this.pendingVisitorWarnings])));
-    console.log(' ');
+    const item = this.enqueuePending(
+      this.pendingVisitorWarnings,
+      data.room,
+      data
+    );
+    log.info('Warning pending', { room: data.room, key: item.key });
+    return item;
   }
 
+  // queues the alert for its Visitor and returns the queued item (with its key)
   setPendingRoomAlerts(data) {
-    console.log(warn(`Adding ${data.room} to pendingRoomAlerts Map`));
-    console.log(warn(`pendingRoomAlerts Map:`));
-    this.pendingRoomAlerts.set(data.visitorId, data);
-    console.log(warn(printJson([...this.pendingRoomAlerts])));
-    console.log(' ');
+    const item = this.enqueuePending(
+      this.pendingRoomAlerts,
+      data.visitorId,
+      data
+    );
+    log.info('Alert pending', {
+      visitor: data.visitorId,
+      room: data.room,
+      key: item.key,
+    });
+    return item;
   }
 
   stepMessage(room, event, data) {
-    console.log(
-      success(`Emitting: ${event} to ${room} with ${printJson(data)}`)
-    );
-    this.io.to(room).emit(event, data);
+    log.debug('Emitting', { event: event, room: room });
+    log.trace('Message', { message: data });
+    this.nsp.to(room).emit(event, data);
   }
 
-  deletePendingVisitorWarning(room, caller) {
-    console.log(' ');
-    console.log(warn(caller, ':'));
-    console.log(warn(`Deleting ${room} from this.pendingVisitorWarnings Map`));
-    this.pendingVisitorWarnings.delete(room);
-    console.log(warn([...this.pendingVisitorWarnings]));
-    console.log(' ');
+  // ack identifies the acknowledged warnings (see isAcknowledged())
+  // other warnings for the Room stay queued
+  deletePendingVisitorWarning(room, caller, ack) {
+    const removed = this.dequeuePending(this.pendingVisitorWarnings, room, ack);
+    log.info('Deleted pending warnings', {
+      room: room,
+      count: removed.length,
+      caller: caller,
+    });
+    return removed;
   }
 
-  deletePendingRoomAlerts(visitorId) {
-    console.log(warn(`Deleting ${visitorId} from pendingRoomAlerts Map`));
-    this.pendingRoomAlerts.delete(visitorId);
-    console.log(warn([...this.pendingRoomAlerts]));
-    console.log(' ');
+  // ack identifies the acknowledged alerts (see isAcknowledged())
+  // other alerts for the Visitor stay queued
+  deletePendingRoomAlerts(visitorId, ack) {
+    const removed = this.dequeuePending(this.pendingRoomAlerts, visitorId, ack);
+    log.info('Deleted pending alerts', {
+      visitor: visitorId,
+      count: removed.length,
+    });
+    return removed;
   }
 }
 
 module.exports = {
-  getNow,
-  logResults,
-  printJson,
+  ADMINS,
+  caseIdsOf,
   ServerProxy,
+  visitorIdOf,
 };
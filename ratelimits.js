@@ -0,0 +1,107 @@
+// Caps how often one caller may send the events a prankster could abuse
+// (a warning pushes alerts to every Room it names).
+// Events are limited in groups, each with a window and two limits:
+//   identity  calls per window by one identity (a token's id, see auth.js):
+//             the limit that stops a prankster
+//   address   calls per window from one IP address: only a backstop
+//             against someone minting identities, so set it far above
+//             identity (a campus or shelter Wi-Fi puts hundreds of
+//             Visitors behind one address, and they must not share
+//             one identity's budget)
+// Windows are fixed (they start with a caller's first call) and are kept
+// in memory only, so a restart forgives everyone.
+
+const LIMITS = {
+  // stepOneVisitorWarnsRooms and exposureWarning
+  warnings: { identity: 3, address: 50, windowSeconds: 3600 },
+  // alertVisitor and stepThreeRoomListsVisitorsForServer
+  alerts: { identity: 30, address: 1200, windowSeconds: 60 },
+  enterRoom: { identity: 20, address: 3000, windowSeconds: 60 },
+  // logVisit (a client back online may send a backlog of visits at once)
+  visits: { identity: 60, address: 3000, windowSeconds: 60 },
+  // POST /onboard/:role, which mints identities (so by address only)
+  onboard: { address: 60, windowSeconds: 600 },
+};
+
+class RateLimiter {
+  // overrides change a few of a group's LIMITS, e.g., {warnings: {identity: 5}}
+  constructor(overrides = {}) {
+    this.limits = Object.entries(LIMITS).reduce(
+      (a, [group, limits]) => ({
+        ...a,
+        [group]: { ...limits, ...(overrides[group] || {}) },
+      }),
+      {}
+    );
+    // `${group}|${scope}|${key}` => {start, count}
+    this.windows = new Map();
+  }
+
+  // the caller's current window (a fresh one once the last has ended)
+  windowOf(group, scope, key, now) {
+    const id = `${group}|${scope}|${key}`;
+    const window = this.windows.get(id);
+    if (
+      window &&
+      now - window.start < this.limits[group].windowSeconds * 1000
+    ) {
+      return window;
+    }
+    const fresh = { start: now, count: 0 };
+    this.windows.set(id, fresh);
+    return fresh;
+  }
+
+  // drops ended windows, so callers who went away cost nothing
+  prune(now = Date.now()) {
+    this.windows.forEach((window, id) => {
+      const group = id.split('|')[0];
+      if (now - window.start >= this.limits[group].windowSeconds * 1000) {
+        this.windows.delete(id);
+      }
+    });
+  }
+
+  // counts one call in the group by identity (a string) from address
+  // returns null if the call may go ahead, otherwise
+  // {group, scope, limit, windowSeconds, retryAfter} (retryAfter in seconds)
+  // (refused calls do not count)
+  take(group, identity, address, now = Date.now()) {
+    const limits = this.limits[group];
+    if (!limits) {
+      throw new Error(`No rate limit group ${group} (see ratelimits.js)`);
+    }
+    const windows = [
+      ['identity', identity],
+      ['address', address],
+    ]
+      .filter(([scope, key]) => key && limits[scope])
+      .map(([scope, key]) => ({
+        scope: scope,
+        window: this.windowOf(group, scope, key, now),
+      }));
+    const full = windows.find(
+      ({ scope, window }) => window.count >= limits[scope]
+    );
+    if (full) {
+      const ends = full.window.start + limits.windowSeconds * 1000;
+      return {
+        group: group,
+        scope: full.scope,
+        limit: limits[full.scope],
+        windowSeconds: limits.windowSeconds,
+        retryAfter: Math.ceil((ends - now) / 1000),
+      };
+    }
+    windows.forEach(({ window }) => window.count++);
+    if (this.windows.size > 10000) {
+      this.prune(now);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  LIMITS,
+  RateLimiter,
+};
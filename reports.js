@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const csv = require('fast-csv');
+const moment = require('moment');
+
+const { toTime } = require('./visits');
+
+const clc = require('cli-color');
+const error = clc.red.bold;
+
+// CSV exports for local health authorities:
+//   visits  one row per visit span in the visit graph (see visits.js)
+//   cases   one row per protocol step of each exposure case (see cases.js),
+//           like the step table in docs/step events doc.xlsx
+// Both take filters {from, to, room, pseudonymize}:
+//   from, to      epoch ms, ISO 8601 dates or times (a date alone means
+//                 its whole day)
+//   room          only this Room's rows
+//   pseudonymize  replace Visitor ids with stable pseudonyms (see below)
+// Visits are written to the CSV a page at a time, so an export's size is
+// bounded by the graph, not by the server's memory.
+
+const VISIT_COLUMNS = [
+  'visitor',
+  'room',
+  'checkIn',
+  'checkOut',
+  'minutes',
+  'exit',
+];
+
+// visits fetched from the graph per page of a visits export
+const PAGE_SIZE = 500;
+
+const CASE_COLUMNS = [
+  'caseId',
+  'step',
+  'event',
+  'from',
+  'to',
+  'room',
+  'visitor',
+  'status',
+  'at',
+  'riskScore',
+  'riskCategory',
+];
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+// resolves filters to {from, to} in epoch ms (throws on a garbled date)
+function rangeOf({ from, to }) {
+  const range = {
+    from: from ? toTime(isDate(from) ? from : Number(from) || from) : 0,
+    to: to
+      ? isDate(to)
+        ? moment(to).endOf('day').valueOf() + 1
+        : toTime(Number(to) || to)
+      : Date.now(),
+  };
+  ['from', 'to'].forEach((field) => {
+    if (Number.isNaN(range[field])) {
+      throw new Error(
+        `${field} must be epoch milliseconds or an ISO 8601 date`
+      );
+    }
+  });
+  return range;
+}
+
+// the key pseudonyms are made with, derived from the token secret (see
+// auth.js) so that no export key can sign a token
+const exportKeyOf = (secret) =>
+  crypto.createHmac('sha256', secret).update('export pseudonyms').digest();
+
+// the same Visitor always gets the same pseudonym (so rows still link up),
+// but without the export key a pseudonym cannot be traced back to an id
+function pseudonymizer(key) {
+  return (id) =>
+    id &&
+    `v-${crypto
+      .createHmac('sha256', key)
+      .update(String(id))
+      .digest('hex')
+      .slice(0, 12)}`;
+}
+
+const isoOf = (time) => (time ? moment(time).toISOString() : '');
+
+// returns the visit rows, oldest first, as a function of write(rows)
+// that writes them a page at a time (see writeCsv())
+function visitRows(visitLog, filters = {}, key) {
+  const { from, to } = rangeOf(filters);
+  const visitorOf = filters.pseudonymize ? pseudonymizer(key) : (id) => id;
+  const rowOf = (visit) => ({
+    visitor: visitorOf(visit.visitor),
+    room: visit.room,
+    checkIn: isoOf(visit.checkIn),
+    checkOut: isoOf(visit.checkOut),
+    minutes:
+      visit.checkOut === null
+        ? ''
+        : Math.round((visit.checkOut - visit.checkIn) / 60000),
+    exit: visit.exit,
+  });
+  return (write) =>
+    visitLog.eachPage(
+      { from: from, to: to, room: filters.room },
+      PAGE_SIZE,
+      (visits) => write(visits.map(rowOf))
+    );
+}
+
+// a case's protocol steps, one row per step reaching one Room or Visitor
+// (steps that have not happened yet have no row)
+function caseTimeline(exposureCase) {
+  const rows = [];
+  const add = (row) =>
+    row.at &&
+    rows.push({
+      caseId: exposureCase.caseId,
+      riskScore: '',
+      riskCategory: '',
+      ...row,
+    });
+
+  Object.values(exposureCase.rooms).forEach((entry) => {
+    const { room } = entry;
+    add({
+      step: 1,
+      event: 'stepOneVisitorWarnsRooms',
+      from: 'Visitor',
+      to: 'Server',
+      room: room,
+      visitor: exposureCase.visitor,
+      status: 'warned',
+      at: exposureCase.openedAt,
+    });
+    ['notifiedAt', 'deliveredAt'].forEach((field) =>
+      add({
+        step: 2,
+        event: 'stepTwoServerNotifiesRoom',
+        from: 'Server',
+        to: 'Room',
+        room: room,
+        status: field == 'notifiedAt' ? 'sent' : 'delivered',
+        at: entry[field],
+      })
+    );
+    add({
+      step: 3,
+      event: 'stepThreeRoomListsVisitorsForServer',
+      from: entry.listedBy == 'server' ? 'Server (visit graph)' : 'Room',
+      to: 'Server',
+      room: room,
+      status: `listed ${entry.exposedVisitors.length}`,
+      at: entry.listedAt,
+    });
+  });
+
+  Object.values(exposureCase.visitors).forEach((entry) => {
+    const risk = entry.risk || {};
+    const visitorRow = (row) =>
+      add({
+        room: entry.rooms.join(';'),
+        visitor: entry.visitor,
+        riskScore: risk.score === undefined ? '' : risk.score,
+        riskCategory: risk.category || '',
+        ...row,
+      });
+    ['alertedAt', 'deliveredAt'].forEach((field) =>
+      visitorRow({
+        step: 4,
+        event: 'stepFourServerAlertsVisitor',
+        from: 'Server',
+        to: 'Visitor',
+        status: field == 'alertedAt' ? 'sent' : 'delivered',
+        at: entry[field],
+      })
+    );
+    visitorRow({
+      step: 5,
+      event: 'stepFiveVisitorReceivedAlert',
+      from: 'Visitor',
+      to: 'Server',
+      status: 'received',
+      at: entry.receivedAt,
+    });
+  });
+
+  return rows.sort((a, b) => a.at.localeCompare(b.at) || a.step - b.step);
+}
+
+// resolves to the step rows of every case, in time order
+function caseRows(cases, filters = {}, key) {
+  const { from, to } = rangeOf(filters);
+  const visitorOf = filters.pseudonymize ? pseudonymizer(key) : (id) => id;
+  const rows = cases.list().flatMap((exposureCase) =>
+    caseTimeline(exposureCase)
+      .filter((row) => {
+        const at = toTime(row.at);
+        return (
+          at >= from &&
+          at < to &&
+          (!filters.room || row.room.split(';').includes(filters.room))
+        );
+      })
+      .map((row) => ({ ...row, visitor: visitorOf(row.visitor) || '' }))
+  );
+  return Promise.resolve(rows);
+}
+
+// writes rows as CSV to a writable stream (an HTTP response, stdout...)
+// rows is an array, or a function that is handed write(rows) and resolves
+// once it has written them all (write resolves once the stream wants more)
+// resolves once the last row is handed to the stream
+function writeCsv(rows, columns, out) {
+  return new Promise((resolve, reject) => {
+    const stream = csv.format({
+      headers: columns,
+      alwaysWriteHeaders: true,
+      includeEndRowDelimiter: true,
+    });
+    stream.on('error', reject);
+    stream.on('end', resolve);
+    stream.pipe(out);
+    const write = (page) =>
+      page.reduce((ready, row) => stream.write(row) && ready, true)
+        ? Promise.resolve()
+        : new Promise((drained) => stream.once('drain', drained));
+    Promise.resolve(typeof rows == 'function' ? rows(write) : write(rows))
+      .then(() => stream.end())
+      .catch(reject);
+  });
+}
+
+// each report's columns, and how to get its rows from a tenant
+// (see createTenant() in server.js) for writeCsv()
+// key is the export key (see exportKeyOf())
+const REPORTS = {
+  visits: {
+    columns: VISIT_COLUMNS,
+    rows: (tenant, filters, key) => visitRows(tenant.visitLog, filters, key),
+  },
+  cases: {
+    columns: CASE_COLUMNS,
+    rows: (tenant, filters, key) => caseRows(tenant.cases, filters, key),
+  },
+};
+
+module.exports = {
+  CASE_COLUMNS,
+  caseRows,
+  caseTimeline,
+  exportKeyOf,
+  pseudonymizer,
+  rangeOf,
+  REPORTS,
+  VISIT_COLUMNS,
+  visitRows,
+  writeCsv,
+};
+
+// export from the command line:
+//   node reports <visits|cases> [--from=<date>] [--to=<date>] [--room=<room>]
+//                [--tenant=<tenant>] [--pseudonymize] > export.csv
+// visits come from the tenant's graph, so exporting them here needs the
+// RedisGraph backend (the in-process graph lives in the server: use
+// /api/export/visits.csv instead)
+if (require.main === module) {
+  const [report, ...args] = process.argv.slice(2);
+  const options = args.reduce((a, arg) => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    return { ...a, [name]: value === undefined ? true : value };
+  }, {});
+  if (!REPORTS[report]) {
+    console.error(
+      'usage: node reports <visits|cases> [--from=<date>] [--to=<date>] [--room=<room>] [--tenant=<tenant>] [--pseudonymize]'
+    );
+    process.exit(1);
+  }
+
+  // stdout carries only the CSV: progress messages go to stderr
+  console.log = console.error;
+
+  const config = require('./config');
+  const { createStore } = require('./store');
+  const { createGraph } = require('./graph');
+  const { VisitLog } = require('./visits');
+  const { CaseRegistry } = require('./cases');
+  const { Authenticator } = require('./auth');
+
+  const tenantOptions = config.tenants.find(
+    (t) => t.name == (options.tenant || config.tenants[0].name)
+  );
+  if (!tenantOptions) {
+    console.error(error(`No tenant ${options.tenant}`));
+    process.exit(1);
+  }
+  if (report == 'visits' && tenantOptions.graph.backend != 'redis') {
+    console.error(
+      error(
+        'The in-process graph lives in the server: use /api/export/visits.csv'
+      )
+    );
+    process.exit(1);
+  }
+  const cases = new CaseRegistry(
+    createStore(config.storeNameOf(tenantOptions, 'cases'), config.store)
+  );
+  const tenant = {
+    cases: cases,
+    visitLog:
+      report == 'visits' && new VisitLog(createGraph(tenantOptions.graph)),
+  };
+  // pseudonyms use the key the server derives from its token secret,
+  // so they match its exports
+  const auth = new Authenticator(
+    config.auth,
+    createStore('auth', config.store)
+  );
+
+  Promise.all([auth.restore(), cases.restore()])
+    .then(() => REPORTS[report].rows(tenant, options, exportKeyOf(auth.secret)))
+    .then((rows) => writeCsv(rows, REPORTS[report].columns, process.stdout))
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error(error(err.message));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,159 @@
+const moment = require('moment');
+
+const { caseIdsOf } = require('./radar');
+const { exposureDays } = require('./visits');
+const { createLogger } = require('./logger');
+const { SnapshotBacked } = require('./store');
+
+const log = createLogger('retention');
+
+// Contact data is kept for the retention window (config.retention.days,
+// default 14: an incubation period) and no longer.
+// The retention job runs once the server has restored its state, then every
+// config.retention.intervalMinutes. Each run purges, for each tenant,
+// whatever the cutoff (now less the window) leaves behind:
+//   visits        visits (graph edges) that ended before the cutoff
+//                 (visits in progress are kept)
+//   visitorNodes  Visitors (graph nodes) left with no visit
+//   warnings      pending warnings whose exposure dates all ended before it
+//   held          warnings held for review (see review.js), likewise
+//   alerts        pending alerts whose exposure dates (their own, or their
+//                 cases' for their Room) all ended before it
+//   cases         exposure cases opened before it
+//   deliveries    the Courier's messages settled before it
+//   audit         audit log entries recorded before it (except receipts,
+//                 such as eraseMyData's, see audit.js)
+// Items without exposure dates go by when they were pended (or held).
+// Each run adds a purge summary to the tenant's purge log for the privacy
+// office: {at, tenant, cutoff, retentionDays, purged: {...counts}, failed}
+// (counts only, never who). Admins read it with the exposePurges event.
+// Per-Room analytics hold no personal data and keep their own window (see
+// analytics.js); server logs redact personal fields (see logger.js).
+
+// the most recent summaries are kept; older ones fall off
+const MAX_SUMMARIES = 1000;
+
+class PurgeLog extends SnapshotBacked {
+  constructor(store, maxSummaries = MAX_SUMMARIES) {
+    super(store, 'summaries', 'the purge log');
+    this.maxSummaries = maxSummaries;
+    this.summaries = [];
+  }
+
+  add(summary) {
+    this.summaries.push(summary);
+    if (this.summaries.length > this.maxSummaries) {
+      this.summaries.splice(0, this.summaries.length - this.maxSummaries);
+    }
+    this.persist();
+    return summary;
+  }
+
+  // newest first
+  list({ limit } = {}) {
+    const summaries = [...this.summaries].reverse();
+    return limit ? summaries.slice(0, limit) : summaries;
+  }
+}
+
+// when an exposure ended: the end of its latest day (epoch ms)
+// or null if it names no day
+const exposureEndOf = (exposureDates) => {
+  const days = exposureDays(exposureDates);
+  return days.length ? Math.max(...days.map((day) => day.end)) : null;
+};
+
+// purges one tenant's data older than retentionDays
+// resolves to the run's purge summary (see above)
+function purgeTenant(tenant, { retentionDays, now = Date.now() }) {
+  const { S, cases, review, audit, visitLog } = tenant;
+  const cutoff = moment(now).subtract(retentionDays, 'days').valueOf();
+  const isExpired = (exposureDates, since) => {
+    const end = exposureEndOf(exposureDates);
+    return end === null ? moment(since).valueOf() < cutoff : end < cutoff;
+  };
+  // alerts carry exposure dates when a Room listed them with some;
+  // otherwise their cases say when the Room was exposed
+  const alertDatesOf = (alert) =>
+    alert.exposureDates ||
+    caseIdsOf(alert).flatMap((caseId) => {
+      const exposureCase = cases.get(caseId);
+      const entry = exposureCase && exposureCase.rooms[alert.room];
+      return entry ? [].concat(entry.exposureDates || []) : [];
+    });
+
+  const purged = {
+    warnings: S.expirePending(S.pendingVisitorWarnings, (warning) =>
+      isExpired(warning.exposureDates, warning.pendedAt)
+    ).length,
+    held: review.expire((held) => isExpired(held.exposureDates, held.heldAt))
+      .length,
+    alerts: S.expirePending(S.pendingRoomAlerts, (alert) =>
+      isExpired(alertDatesOf(alert), alert.pendedAt)
+    ).length,
+    // after alerts, which may need their cases' exposure dates
+    cases: cases.purge(cutoff),
+    deliveries: S.courier.forget(cutoff),
+    audit: audit.purge(cutoff),
+  };
+  const failed = [];
+  return visitLog
+    .purge(cutoff)
+    .catch((err) => {
+      log.error('Unable to purge visits', { tenant: tenant.name, error: err });
+      failed.push('visits');
+      return { visits: 0, visitorNodes: 0 };
+    })
+    .then((deleted) => ({
+      at: moment(now).toISOString(),
+      tenant: tenant.name,
+      cutoff: moment(cutoff).toISOString(),
+      retentionDays: retentionDays,
+      purged: { ...deleted, ...purged },
+      failed: failed,
+    }));
+}
+
+// runs purgeTenant() for each tenant now and every intervalMinutes after,
+// adding each summary to the tenant's purge log (tenant.purges)
+// options are config.retention: {days, intervalMinutes}
+// returns a function that stops the schedule
+function scheduleRetention(tenants, { days, intervalMinutes }) {
+  let running = false;
+  const run = () => {
+    // a slow graph may outlast the interval: skip rather than overlap
+    if (running) {
+      return;
+    }
+    running = true;
+    Promise.all(
+      tenants.map((tenant) =>
+        purgeTenant(tenant, { retentionDays: days }).then((summary) => {
+          tenant.purges.add(summary);
+          log.info('Purged data older than the retention window', {
+            tenant: tenant.name,
+            cutoff: summary.cutoff,
+            ...summary.purged,
+          });
+        })
+      )
+    )
+      .catch((err) => {
+        log.error('Retention job failed', err);
+      })
+      .then(() => {
+        running = false;
+      });
+  };
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  // the schedule alone should not keep the process alive
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  purgeTenant,
+  PurgeLog,
+  scheduleRetention,
+};
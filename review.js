@@ -0,0 +1,76 @@
+const base64id = require('base64id');
+const moment = require('moment');
+
+const { SnapshotBacked } = require('./store');
+
+// Warnings held for an admin's review before their Room hears of them
+// (stepTwoServerNotifiesRoom), e.g., a warning naming a Room the Visitor
+// has no visit to on record. Each held warning is
+//   {reviewId, via, room, visitor, reason, exposureDates, caseId,
+//    flags, heldAt}
+// where via names the event that sent it (stepOneVisitorWarnsRooms or the
+// legacy exposureWarning) and flags say why it was held (see FLAGS).
+// An admin releases it (the Room is notified as if it had never been held)
+// or rejects it; either way it leaves the queue.
+
+const FLAGS = {
+  NEVER_VISITED: 'The Visitor has no visit to this Room on record',
+};
+
+class ReviewQueue extends SnapshotBacked {
+  constructor(store) {
+    super(store, 'warnings', 'the review queue');
+    this.warnings = new Map();
+  }
+
+  // warning is the data step two would send the Room
+  hold(via, warning, flags) {
+    const held = {
+      reviewId: base64id.generateId(),
+      via: via,
+      ...warning,
+      flags: flags,
+      heldAt: moment().toISOString(),
+    };
+    this.warnings.set(held.reviewId, held);
+    this.persist();
+    return held;
+  }
+
+  get(reviewId) {
+    return this.warnings.get(reviewId);
+  }
+
+  // removes a held warning (to release or reject it)
+  // returns it, or null if it is not (or no longer) held
+  take(reviewId) {
+    const held = this.warnings.get(reviewId);
+    if (!held) {
+      return null;
+    }
+    this.warnings.delete(reviewId);
+    this.persist();
+    return held;
+  }
+
+  // removes every held warning isExpired(held) is true for
+  // returns the removed warnings
+  expire(isExpired) {
+    const expired = this.list().filter(isExpired);
+    expired.forEach((held) => this.warnings.delete(held.reviewId));
+    if (expired.length) {
+      this.persist();
+    }
+    return expired;
+  }
+
+  // oldest first
+  list() {
+    return [...this.warnings.values()];
+  }
+}
+
+module.exports = {
+  FLAGS,
+  ReviewQueue,
+};
@@ -0,0 +1,191 @@
+const csv = require('fast-csv');
+
+const { SnapshotBacked } = require('./store');
+
+// The Room registry: every Room a tenant has, whether or not its device
+// is online (ServerProxy only knows connected Rooms).
+// A Room is {id, name, building, capacity, contact}, where id is the name
+// the Room connects with (query.room) and Visitors warn (warningsMap).
+// While the registry is empty, any Room name is accepted (as before the
+// registry); once it has Rooms, warnings to unknown Rooms are rejected.
+// A Room's capacity caps how many Visitors may be in it at once
+// (Rooms without one get defaults.capacity, if any).
+
+const ROOM_FIELDS = ['id', 'name', 'building', 'capacity', 'contact'];
+const MAX_LENGTH = 128;
+
+// returns null for a valid Room, otherwise {field, message}
+function validateRoom(data) {
+  if (!data || typeof data !== 'object') {
+    return { field: null, message: `Expected {${ROOM_FIELDS.join(', ')}}` };
+  }
+  if (typeof data.id !== 'string' || !data.id.trim()) {
+    return { field: 'id', message: 'id is required' };
+  }
+  const tooLong = ROOM_FIELDS.find(
+    (field) => String(data[field] || '').length > MAX_LENGTH
+  );
+  if (tooLong) {
+    return {
+      field: tooLong,
+      message: `${tooLong} cannot exceed ${MAX_LENGTH} characters`,
+    };
+  }
+  const capacity = data.capacity;
+  if (
+    capacity !== undefined &&
+    capacity !== null &&
+    capacity !== '' &&
+    !(Number.isInteger(Number(capacity)) && Number(capacity) > 0)
+  ) {
+    return {
+      field: 'capacity',
+      message: 'capacity must be a positive integer',
+    };
+  }
+  return null;
+}
+
+// keeps only the known fields (capacity as a number, or null)
+const roomOf = (data) => ({
+  id: data.id.trim(),
+  name: data.name || data.id.trim(),
+  building: data.building || null,
+  capacity:
+    data.capacity === undefined ||
+    data.capacity === null ||
+    data.capacity === ''
+      ? null
+      : Number(data.capacity),
+  contact: data.contact || null,
+});
+
+class RoomRegistry extends SnapshotBacked {
+  constructor(store, defaults = {}) {
+    super(store, 'rooms', 'the Room registry');
+    this.rooms = new Map();
+    this.defaultCapacity = defaults.capacity || null;
+  }
+
+  get(id) {
+    return this.rooms.get(id);
+  }
+
+  // how many Visitors the Room admits (null: no limit)
+  capacityOf(id) {
+    const room = this.rooms.get(id);
+    return (room && room.capacity) || this.defaultCapacity;
+  }
+
+  // true if warnings may go to this Room
+  // (any Room, while nothing is registered)
+  accepts(id) {
+    return !this.rooms.size || this.rooms.has(id);
+  }
+
+  // adds or updates a Room (throws if a field is invalid)
+  register(data, persist = true) {
+    const invalid = validateRoom(data);
+    if (invalid) {
+      throw new Error(invalid.message);
+    }
+    const room = roomOf(data);
+    this.rooms.set(room.id, room);
+    if (persist) {
+      this.persist();
+    }
+    return room;
+  }
+
+  unregister(id) {
+    const room = this.rooms.get(id);
+    if (room) {
+      this.rooms.delete(id);
+      this.persist();
+    }
+    return room || null;
+  }
+
+  list() {
+    return [...this.rooms.values()];
+  }
+
+  // every registered Room with its device's state (offline, available or
+  // open), followed by connected Rooms missing from the registry
+  // (registered: false), so a typo stands out from an offline Room
+  // proxy is the tenant's ServerProxy
+  status(proxy) {
+    const stateOf = (id) =>
+      proxy.openRooms.some((r) => r.room == id)
+        ? 'open'
+        : proxy.available.some((r) => r.room == id)
+        ? 'available'
+        : 'offline';
+    const unknown = [...new Set(proxy.available.map((r) => r.room))].filter(
+      (id) => !this.rooms.has(id)
+    );
+    return this.list()
+      .map((room) => ({ ...room, registered: true, state: stateOf(room.id) }))
+      .concat(
+        unknown.map((id) => ({ id: id, registered: false, state: stateOf(id) }))
+      );
+  }
+
+  // bulk import from CSV text with a header row naming ROOM_FIELDS, e.g.:
+  //   id,name,building,capacity,contact
+  //   Fitness,Fitness Center,Main,25,front.desk@example.org
+  // existing Rooms are updated, invalid rows are skipped
+  // resolves to {added, updated, errors: [{row, field, message}]}
+  importCsv(text) {
+    return new Promise((resolve, reject) => {
+      const report = { added: 0, updated: 0, errors: [] };
+      let row = 1; // the header
+      let headerError = null;
+      csv
+        .parseString(String(text || ''), {
+          headers: (headers) => headers.map((h) => h.trim()),
+          ignoreEmpty: true,
+          trim: true,
+        })
+        .on('error', reject)
+        .on('headers', (headers) => {
+          const unknown = headers.find((h) => !ROOM_FIELDS.includes(h));
+          if (unknown || !headers.includes('id')) {
+            headerError = new Error(
+              unknown
+                ? `Unknown column ${unknown} (expected ${ROOM_FIELDS.join(
+                    ', '
+                  )})`
+                : 'The header row must name an id column'
+            );
+          }
+        })
+        .on('data', (data) => {
+          row++;
+          if (headerError) {
+            return;
+          }
+          const invalid = validateRoom(data);
+          if (invalid) {
+            report.errors.push({ row: row, ...invalid });
+            return;
+          }
+          report[this.rooms.has(data.id.trim()) ? 'updated' : 'added']++;
+          this.register(data, false);
+        })
+        .on('end', () => {
+          if (headerError) {
+            return reject(headerError);
+          }
+          this.persist();
+          resolve(report);
+        });
+    });
+  }
+}
+
+module.exports = {
+  ROOM_FIELDS,
+  RoomRegistry,
+  validateRoom,
+};
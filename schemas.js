@@ -0,0 +1,252 @@
+const { validateVisit } = require('./visits');
+const { validateRoom } = require('./rooms');
+
+// The payload each socket event expects (its first argument).
+// guard() (see permissions.js) checks the payload before the handler runs,
+// so handlers can destructure it safely; a payload that does not match
+// gets the ack
+//   {event, result: false, error: {code: 'INVALID_PAYLOAD', field, message}}
+// where field is the path of the offending field (e.g., visitor.id).
+// A schema is a function of (value, path) that returns null for a valid
+// value, otherwise {field, message} (and optionally a more specific code),
+// like validateVisit() and validateRoom().
+// Objects accept fields they do not declare (clients send extras, such as
+// nsp), unless declared exact(); every event registered with guard() must
+// have a schema here.
+
+const MAX_ID_LENGTH = 128;
+
+const invalid = (path, message) => ({ field: path || null, message: message });
+const nameOf = (path) => path || 'payload';
+
+const any = () => null;
+
+// a value that may be left out (undefined or null)
+const optional = (schema) => (value, path) =>
+  value === undefined || value === null ? null : schema(value, path);
+
+const string = (value, path) =>
+  typeof value === 'string'
+    ? null
+    : invalid(path, `${nameOf(path)} must be a string`);
+
+// a non-empty name or id (a Room name, a Visitor id...)
+const id = (value, path) =>
+  typeof value === 'string' &&
+  value.trim().length > 0 &&
+  value.length <= MAX_ID_LENGTH
+    ? null
+    : invalid(
+        path,
+        `${nameOf(
+          path
+        )} must be a non-empty id of at most ${MAX_ID_LENGTH} characters`
+      );
+
+const oneOf = (values) => (value, path) =>
+  values.includes(value)
+    ? null
+    : invalid(path, `${nameOf(path)} must be one of ${values.join(', ')}`);
+
+// a time as epoch milliseconds or a date string
+const time = (value, path) =>
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  typeof value === 'string'
+    ? null
+    : invalid(path, `${nameOf(path)} must be epoch milliseconds or a date`);
+
+const positiveInteger = (value, path) =>
+  Number.isInteger(value) && value > 0
+    ? null
+    : invalid(path, `${nameOf(path)} must be a positive integer`);
+
+// the first schema that accepts the value wins
+// (otherwise the last one's complaint is reported)
+const either =
+  (...schemas) =>
+  (value, path) =>
+    schemas.reduce((a, schema) => a && schema(value, path), true);
+
+const array = (items) => (value, path) => {
+  if (!Array.isArray(value)) {
+    return invalid(path, `${nameOf(path)} must be an array`);
+  }
+  return value.reduce(
+    (a, item, i) => a || items(item, `${nameOf(path)}[${i}]`),
+    null
+  );
+};
+
+// a fixed-length array, e.g., a [room, exposureDates] pair
+const tuple =
+  (...schemas) =>
+  (value, path) => {
+    if (!Array.isArray(value) || value.length < schemas.length) {
+      return invalid(
+        path,
+        `${nameOf(path)} must be an array of ${schemas.length} items`
+      );
+    }
+    return schemas.reduce(
+      (a, schema, i) => a || schema(value[i], `${nameOf(path)}[${i}]`),
+      null
+    );
+  };
+
+const object = (fields) => (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid(
+      path,
+      `${nameOf(path)} must be an object with ${Object.keys(fields).join(', ')}`
+    );
+  }
+  return Object.entries(fields).reduce(
+    (a, [field, schema]) =>
+      a || schema(value[field], path ? `${path}.${field}` : field),
+    null
+  );
+};
+
+// an object that carries nothing but its fields
+const exact = (fields) => (value, path) => {
+  const error = object(fields)(value, path);
+  if (error) {
+    return error;
+  }
+  const unknown = Object.keys(value).find((key) => !(key in fields));
+  return unknown
+    ? invalid(
+        path ? `${path}.${unknown}` : unknown,
+        `Unexpected field ${unknown}`
+      )
+    : null;
+};
+
+// keeps an existing validator's error code (e.g., INVALID_VISIT)
+const withCode = (code, schema) => (value, path) => {
+  const error = schema(value, path);
+  return error && { code: code, ...error };
+};
+
+// Visitors show up as {visitor, id} objects (see radar.visitorIdOf)
+const visitor = object({ id: id, visitor: optional(string) });
+// one exposure date or a list of them (see visits.exposureDays)
+const exposureDates = either(time, array(time));
+// serialized Map entries: [[room, exposureDates], ...]
+const warningsMap = array(tuple(id, optional(exposureDates)));
+const pendingKeys = {
+  key: optional(string),
+  keys: optional(array(string)),
+};
+
+const SCHEMAS = {
+  // Visitors
+  logVisit: withCode('INVALID_VISIT', validateVisit),
+  enterRoom: object({
+    room: id,
+    visitor: visitor,
+    sentTime: optional(time),
+  }),
+  leaveRoom: object({
+    room: id,
+    visitor: object({ id: optional(id), visitor: string }),
+    sentTime: optional(time),
+    message: optional(string),
+  }),
+  exposureWarning: object({
+    visitor: visitor,
+    warningsMap: warningsMap,
+    reason: optional(string),
+  }),
+  stepOneVisitorWarnsRooms: object({
+    visitor: visitor,
+    warningsMap: warningsMap,
+    reason: optional(string),
+  }),
+  // a Visitor's own data (the caller's, whatever the payload says)
+  requestMyData: any,
+  eraseMyData: any,
+  // older Visitors send only their id
+  stepFiveVisitorReceivedAlert: either(
+    id,
+    object({ visitorId: id, room: optional(id), ...pendingKeys })
+  ),
+
+  // Rooms
+  openRoom: object({ room: id }),
+  closeRoom: object({ room: id }),
+  alertVisitor: object({
+    room: id,
+    visitor: visitor,
+    message: either(string, object({})),
+  }),
+  stepThreeRoomListsVisitorsForServer: object({
+    room: id,
+    // who, and nothing else: risk scores only trust the visit graph
+    exposedVisitors: array(
+      exact({ id: id, visitor: optional(string), nsp: optional(string) })
+    ),
+    caseId: optional(string),
+    exposureDates: optional(exposureDates),
+    ...pendingKeys,
+  }),
+  exposeRoomAnalytics: optional(
+    object({
+      room: optional(id),
+      bucket: optional(oneOf(['hour', 'day'])),
+      from: optional(time),
+      to: optional(time),
+    })
+  ),
+
+  // admins (and the Room lists anyone may read): no payload needed
+  exposeAllSockets: any,
+  exposeOpenRooms: any,
+  exposeAvailableRooms: any,
+  exposeVisitorsRooms: any,
+  exposePendingRoomAlerts: any,
+  exposePendingVistorWarnings: any,
+  exposeDeliveries: any,
+  exposeRoomRegistry: any,
+  exposeCases: optional(object({ caseId: optional(string) })),
+  exposeRoomSettings: optional(object({ room: optional(id) })),
+  setRoomSettings: object({ room: id, exposureMode: string }),
+  exposeAuditLog: optional(
+    object({ action: optional(string), limit: optional(positiveInteger) })
+  ),
+  exposePurges: optional(object({ limit: optional(positiveInteger) })),
+  registerRoom: validateRoom,
+  unregisterRoom: object({ room: id }),
+  importRooms: object({ csv: string }),
+  forceDeliverPending: object({
+    queue: withCode('INVALID_QUEUE', oneOf(['warnings', 'alerts'])),
+    id: withCode('INVALID_ITEM', id),
+    key: withCode('INVALID_ITEM', string),
+  }),
+  dropPending: object({
+    queue: withCode('INVALID_QUEUE', oneOf(['warnings', 'alerts'])),
+    id: withCode('INVALID_ITEM', id),
+    key: withCode('INVALID_ITEM', string),
+  }),
+  forceCloseRoom: object({ room: id }),
+  exposeReviewQueue: any,
+  releaseWarning: object({ reviewId: id }),
+  rejectWarning: object({ reviewId: id }),
+  pingServer: any,
+};
+
+// returns null if the event's payload is valid, otherwise
+// {code, field, message} (throws for an event without a schema)
+function validatePayload(event, data) {
+  const schema = SCHEMAS[event];
+  if (!schema) {
+    throw new Error(`No payload schema for ${event} (see schemas.js)`);
+  }
+  const error = schema(data, '');
+  return error && { code: 'INVALID_PAYLOAD', ...error };
+}
+
+module.exports = {
+  SCHEMAS,
+  validatePayload,
+};
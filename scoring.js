@@ -0,0 +1,87 @@
+// Exposure risk scoring for stepFourServerAlertsVisitor.
+// A score (0-100) weighs three things:
+//   contact   how long the exposed Visitor overlapped the warning Visitor
+//   crowding  how many people shared the Room at the time
+//             (relative to its capacity, when we know it)
+//   reason    why the warning Visitor warned us (stepOneVisitorWarnsRooms)
+// The category is what Rooms and Visitors show:
+//   close contact                   overlapped for CLOSE_CONTACT or longer
+//   brief contact                   overlapped, but not for that long
+//   same building, different time   same Room, same day, no overlap
+//   reported by Room                the Room listed the Visitor, but the
+//                                   visit graph has no record of the overlap
+
+const MINUTE = 60 * 1000;
+const CLOSE_CONTACT = 15 * MINUTE;
+// without a known capacity, this many occupants counts as crowded
+const CROWDED = 10;
+
+const CLOSE = 'close contact';
+const BRIEF = 'brief contact';
+const DIFFERENT_TIME = 'same building, different time';
+const REPORTED = 'reported by Room';
+
+// reasons come from Visitor clients as free text
+const REASONS = [
+  { pattern: /positive|confirmed|diagnos/i, weight: 1 },
+  { pattern: /symptom|sick|ill|fever|cough/i, weight: 0.7 },
+  { pattern: /expos|contact/i, weight: 0.4 },
+];
+const DEFAULT_REASON_WEIGHT = 0.7;
+
+const reasonWeight = (reason) => {
+  const match = REASONS.find((r) => r.pattern.test(String(reason || '')));
+  return match ? match.weight : DEFAULT_REASON_WEIGHT;
+};
+
+const crowding = (occupancy, capacity) => {
+  if (!occupancy) {
+    return 0;
+  }
+  return Math.min(occupancy / (capacity || CROWDED), 1);
+};
+
+// overlap is in milliseconds (null if unknown)
+function scoreExposure({ overlap, occupancy, capacity, reason }) {
+  const weight = reasonWeight(reason);
+  const density = crowding(occupancy, capacity);
+  let category;
+  let contact;
+  if (overlap === null || overlap === undefined) {
+    category = REPORTED;
+    contact = 0.5;
+  } else if (overlap >= CLOSE_CONTACT) {
+    category = CLOSE;
+    contact = 1;
+  } else if (overlap > 0) {
+    category = BRIEF;
+    contact = overlap / CLOSE_CONTACT;
+  } else {
+    category = DIFFERENT_TIME;
+    contact = 0;
+  }
+  const score =
+    category == DIFFERENT_TIME
+      ? Math.round(10 * weight)
+      : Math.round(100 * weight * (0.7 * contact + 0.3 * density));
+  return {
+    score: score,
+    category: category,
+    overlapMinutes:
+      overlap === null || overlap === undefined
+        ? null
+        : Math.round(overlap / MINUTE),
+    occupancy: occupancy || null,
+    capacity: capacity || null,
+    reason: reason || null,
+  };
+}
+
+module.exports = {
+  BRIEF,
+  CLOSE,
+  CLOSE_CONTACT,
+  DIFFERENT_TIME,
+  REPORTED,
+  scoreExposure,
+};
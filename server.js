@@ -6,17 +6,36 @@ const serveStatic = require('serve-static');
 const path = require('path');
 
 const app = express();
+app.use(express.json());
 
 const http = require('http').createServer(app);
 
+// settings come from the environment or config.json (see config.js)
+const config = require('./config');
+// leveled, redacted logging (see logger.js)
+const { createLogger } = require('./logger');
+const log = createLogger('server');
+
 process.on('uncaughtException', (err) => {
-  console.error('There was an uncaught error', err);
+  log.error('There was an uncaught error', err);
   process.exit(1); //mandatory (as per the Node.js docs)
 });
 //#endregion end express code
 
 //#region Socket.io Server initialization
 let namespace = '/';
+const { createStore } = require('./store');
+const { Authenticator, nameOf, roleOf } = require('./auth');
+// signed handshake tokens (see auth.js)
+const auth = new Authenticator(config.auth, createStore('auth', config.store));
+// a passed in ID is only trusted if its token vouches for it
+// (or, unless LCT_AUTH_REQUIRED=true, for legacy unsigned Rooms and
+// Visitors: an admin always needs a token)
+// (the tenant is checked when the socket joins its namespace)
+const isTrusted = (query) =>
+  (!auth.required && roleOf(query) != 'admin') ||
+  !!auth.authenticate(query).identity;
+
 const io = require('socket.io')(http);
 // const io = require('socket.io')(server);
 // overload to use passed in ID as socket.id
@@ -25,127 +44,504 @@ io.engine.generateId = (req) => {
   const params = new URLSearchParams(parsedUrl.search);
   const prevId = params.get('id');
   // prevId is either a valid id or an empty string
-  if (!!prevId) {
+  if (!!prevId && isTrusted(Object.fromEntries(params))) {
     return prevId;
   }
   return base64id.generateId();
 };
 // return LCT sockets only
-io.use(function (socket, next) {
-  if (!socket.handshake.query.id) {
-    socket.handshake.query.id = socket.id;
-  }
-  next();
-});
+// (sockets without a valid token for their id, role and tenant are rejected,
+// and without LCT_AUTH_REQUIRED=true, only admin sockets are)
+// (query.id is the socket's id without its namespace prefix, see radar.js)
+const authenticateSocket = (tenant) =>
+  function (socket, next) {
+    const query = socket.handshake.query;
+    const { identity, reason } = auth.authenticate(
+      query,
+      tenant.name,
+      config.DEFAULT_TENANT
+    );
+    if (!identity && (auth.required || roleOf(query) == 'admin')) {
+      log.warn('Rejected socket', {
+        name: nameOf(query),
+        id: query.id,
+        room: query.room,
+        tenant: tenant.name,
+        reason: reason,
+      });
+      return next(new Error(`Unauthorized: ${reason}`));
+    }
+    if (!query.id) {
+      query.id = socket.client.id;
+    }
+    // who this socket is (unsigned legacy sockets are who they claim to be)
+    socket.identity = identity || {
+      id: query.id,
+      role: roleOf(query),
+      name: nameOf(query),
+      tenant: tenant.name,
+    };
+    next();
+  };
 
 const url = require('url');
 const base64id = require('base64id');
 
-// TODO this needs to be dynamic
-let nsp = 'sisters';
 //#region Future Use:
 // io.set('authorization', function (handshake, callback) {
 //   callback(null, handshake._query.id);
 // });
 const admin = io.of(namespace);
 admin.on('connect', (socket) => {
-  console.warn('admin socket.id:', socket.id);
+  log.trace('Connected to the root namespace', { id: socket.id });
 
-  socket.on('message', (data) => console.log(data));
+  socket.on('message', (data) => log.debug('message', { data: data }));
 });
 //#endregion
 
 //#endregion
 
 //#region RedisGraph setup
-const RedisGraph = require('redisgraph.js').Graph;
-// TODO options nedds to be dynamic
-const options = {
-  host: 'redis-11939.c60.us-west-1-2.ec2.cloud.redislabs.com',
-  port: 11939,
-  password: '7B3DId42aDCtMjmSXg7VN0XZSMOItGAG',
-};
-const graph = new RedisGraph(nsp, null, null, options);
+// connection comes from the environment or config.json (see config.js)
+// with no Redis host configured, the in-process graph
+// (each tenant has its own graph, see createTenant())
+const { createGraph } = require('./graph');
+const { checkVisitTimes, VisitLog } = require('./visits');
+
+// the server records each visit span itself (enterRoom to leaveRoom,
+// closeRoom or disconnect), so contact history survives client crashes
+// (and the Room's analytics get the visit's stay)
+const recordVisit = ({ analytics }, visit) =>
+  visit && analytics.recordVisit(visit);
+const recordCheckOut = (tenant, visitor, room, sentTime, exit) =>
+  tenant.visitLog
+    .checkOut(visitor, room, sentTime, exit)
+    .then((visit) => recordVisit(tenant, visit))
+    .catch((err) =>
+      log.error('Unable to record a visit', {
+        visitor: visitor,
+        room: room,
+        error: err,
+      })
+    );
 
 //#endregion
 
 //#region set up Server Proxy
-const { getNow, printJson, logResults, ServerProxy } = require('./radar');
+const { ADMINS, caseIdsOf, visitorIdOf, ServerProxy } = require('./radar');
+const { CaseRegistry } = require('./cases');
+const { RoomSettings } = require('./settings');
+const { RoomRegistry } = require('./rooms');
+const { scoreExposure } = require('./scoring');
+const { AuditLog } = require('./audit');
+const { Analytics } = require('./analytics');
+const { RateLimiter } = require('./ratelimits');
+const { ReviewQueue } = require('./review');
+const { PurgeLog, scheduleRetention } = require('./retention');
+const { eraseVisitorData, exportVisitorData } = require('./privacy');
+const { createApi } = require('./api');
+const {
+  ADMIN,
+  ANYONE,
+  guard,
+  OWN_ALERTS,
+  OWN_ROOM,
+  OWN_VISITS,
+  OWN_WARNINGS,
+  ROOM_MANAGER,
+  VISITOR,
+} = require('./permissions');
+const { rangeOf } = require('./reports');
+const { failure, ok, responder } = require('./acks');
 // const S = new ServerProxy(io);
 
 // other utilities
-const clc = require('cli-color');
-const success = clc.red.green;
-const colorExposureAlert = clc.green;
-const colorExposureWarning = clc.yellow.red;
-const error = clc.red.bold;
-const warn = clc.yellow;
-const info = clc.cyan;
-const notice = clc.blue;
-const highlight = clc.magenta;
-const bold = clc.bold;
-
 const moment = require('moment');
 
 const { version } = require('./package.json');
 
-function onConnection(query) {
-  console.group(
-    `EVENT: onConnection [${query.visitor || query.room || query.admin} / ${
-      query.id
-    }] ${query.closed ? 'Closed' : 'Open'}`
-  );
+function onConnection({ S }, query) {
+  log.info('onConnection', {
+    name: query.visitor || query.room || query.admin,
+    id: query.id,
+    state: query.closed ? 'closed' : 'open',
+  });
   //let result = S.handlePendings(query);
+  log.debug('Sockets', {
+    openRooms: S.openRooms.length,
+    availableRooms: S.available.length,
+    visitors: S.visitors.length,
+  });
+  S.exposeOpenRooms();
+}
 
-  console.groupCollapsed('Open Rooms:');
-  console.log(printJson(S.openRooms));
-  console.groupEnd();
-
-  console.groupCollapsed('Visitors:');
-  console.log(printJson(S.visitors));
-  console.groupEnd();
+// everything one tenant's sockets touch (see config.tenants):
+// its namespace, visit graph, cases, Room registry and settings,
+// pending queues (ServerProxy), warnings held for review, audit and purge logs
+// (each with its own stores, see config.storeNameOf)
+function createTenant(options) {
+  const storeOf = (name) =>
+    createStore(config.storeNameOf(options, name), config.store);
+  const graph = createGraph(options.graph);
+  const cases = new CaseRegistry(storeOf('cases'));
+  return {
+    name: options.name,
+    namespace: options.namespace,
+    nsp: io.of(options.namespace),
+    graph: graph,
+    visitLog: new VisitLog(graph),
+    cases: cases,
+    registry: new RoomRegistry(storeOf('registry'), {
+      capacity: options.rooms.defaultCapacity,
+    }),
+    roomSettings: new RoomSettings(storeOf('rooms'), {
+      exposureMode: options.exposure.defaultMode,
+    }),
+    S: new ServerProxy(io, storeOf('pendings'), cases, options.namespace),
+    audit: new AuditLog(storeOf('audit')),
+    review: new ReviewQueue(storeOf('review')),
+    purges: new PurgeLog(storeOf('purges')),
+    analytics: new Analytics(
+      storeOf('analytics'),
+      config.analytics.retentionDays
+    ),
+  };
+}
 
-  console.groupCollapsed('Available Rooms:');
-  console.log(printJson(S.available));
-  console.groupEnd();
+const tenants = new Map(
+  config.tenants.map((options) => [options.name, createTenant(options)])
+);
+
+// one limiter for every tenant, so an address is counted across namespaces
+// (null when config.limits.enabled is false)
+const limiter = config.limits.enabled && new RateLimiter(config.limits.groups);
+
+// adds a risk score to each exposed Visitor (see scoring.js) from
+// exposures, the visit graph's overlaps and occupancy for the Room
+// (see VisitLog.findExposures): Visitors it has no record of are scored
+// as 'reported by Room'
+// (a Room's capacity tells how crowded it was)
+function scoreExposures(
+  { cases, registry },
+  room,
+  exposedVisitors,
+  caseIds,
+  exposures
+) {
+  const exposureCase = caseIds.map((id) => cases.get(id)).find(Boolean);
+  const capacity = registry.capacityOf(room);
+  return exposedVisitors.map((visitor) => {
+    const found = exposures.find((exposure) => exposure.id === visitor.id);
+    return {
+      ...visitor,
+      risk: scoreExposure({
+        overlap: found ? found.overlap : null,
+        occupancy: found ? found.occupancy : null,
+        capacity: capacity,
+        reason: exposureCase && exposureCase.reason,
+      }),
+    };
+  });
+}
 
-  console.groupEnd();
-  S.exposeOpenRooms();
+// scores a Room's list of exposed Visitors against the visit graph,
+// never against what the Room says about them
+function scoreExposedVisitors(tenant, room, exposedVisitors, caseIds) {
+  const exposureCase = caseIds.map((id) => tenant.cases.get(id)).find(Boolean);
+  const score = (exposures) =>
+    scoreExposures(tenant, room, exposedVisitors, caseIds, exposures);
+  if (!exposureCase || !exposureCase.rooms[room]) {
+    return Promise.resolve(score([]));
+  }
+  return tenant.visitLog
+    .findExposures(
+      exposureCase.visitor,
+      room,
+      exposureCase.rooms[room].exposureDates
+    )
+    .then(score);
 }
 
-function newSection(text) {
-  console.log(
-    success(`
-[${getNow()}] ${text}`)
+// protocol steps three and four: record the Room's exposed Visitors in
+// their case(s), then queue and deliver an alert to each of them
+// (exposedVisitors come from the Room, or from the visit graph,
+// and carry their risk score from scoreExposures())
+function alertExposedVisitors(
+  { S, cases },
+  room,
+  exposedVisitors,
+  caseIds,
+  listedBy
+) {
+  caseIds.forEach((id) =>
+    cases.roomListed(id, room, exposedVisitors, listedBy)
   );
+
+  exposedVisitors.forEach((visitor) => {
+    const data = {
+      visitorId: visitor.id,
+      room: room,
+      caseIds: caseIds,
+      risk: visitor.risk,
+    };
+    const alert = S.setPendingRoomAlerts(data);
+    caseIds.forEach((id) =>
+      cases.visitorAlerted(id, visitor.id, room, alert.key, visitor.risk)
+    );
+
+    // Final step. This one sent to Visitor
+    log.info('Alerting Visitor', {
+      visitor: visitor.id,
+      room: room,
+      risk: visitor.risk,
+    });
+    S.deliver(visitor.id, 'stepFourServerAlertsVisitor', alert, {
+      exposedVisitor: visitor,
+      room: room,
+      key: alert.key,
+      caseIds: alert.caseIds,
+      risk: alert.risk,
+    });
+  });
+}
+
+// broadcasts the Room's occupancy (see ServerProxy.updateOccupancy)
+// and samples it for the Room's analytics
+function updateOccupancy({ S, registry, analytics }, room) {
+  const occupancy = S.updateOccupancy(room, registry.capacityOf(room));
+  analytics.recordOccupancy(room, occupancy);
+  return occupancy;
+}
+
+// every socket in the Room (its occupants and the Room itself) leaves it
+// (evicted Visitors' visits end now)
+function evictOccupants(tenant, room) {
+  const { S } = tenant;
+  Object.keys(S.rooms[room].sockets).forEach((value) => {
+    const occupant = S.getSocket(value);
+    // a socket can be gone from the namespace before it is gone from its
+    // Rooms (its disconnect handler checks its visits out)
+    if (!occupant) {
+      return;
+    }
+    occupant.leave(room);
+    recordCheckOut(
+      tenant,
+      occupant.handshake.query.id,
+      room,
+      null,
+      'roomClosed'
+    );
+  });
+  updateOccupancy(tenant, room);
+}
+
+// server-computed step three: Visitors whose stays overlapped the warning
+// Visitor's in this Room (used for Rooms with exposureMode 'server')
+function listExposedVisitorsFromGraph(tenant, warning) {
+  const { visitor, room, exposureDates, caseId } = warning;
+  return tenant.visitLog
+    .findExposures(visitorIdOf(visitor), room, exposureDates)
+    .then((exposures) =>
+      scoreExposures(tenant, room, exposures, [caseId], exposures)
+    )
+    .then((exposedVisitors) => {
+      log.info('Graph lists exposed Visitors', {
+        room: room,
+        count: exposedVisitors.length,
+      });
+      alertExposedVisitors(tenant, room, exposedVisitors, [caseId], 'server');
+      return exposedVisitors;
+    });
+}
+
+// protocol step two: the warning's Room lists its exposed Visitors
+// (data is {room, reason, exposureDates, visitor, caseId})
+// server-computed Rooms need not answer (or even be online):
+// the visit graph lists their exposed Visitors
+// (if the graph fails, fall back to asking the Room)
+function warnRoom(tenant, data) {
+  const { room } = data;
+  if (tenant.roomSettings.get(room).exposureMode == 'server') {
+    listExposedVisitorsFromGraph(tenant, data).catch((err) => {
+      log.error('Unable to list exposures', { room: room, error: err });
+      notifyRoom(tenant, data);
+    });
+    return;
+  }
+  notifyRoom(tenant, data);
+}
+
+function notifyRoom({ S, cases }, data) {
+  const { room, caseId } = data;
+  // in case Room is offline, cache the warning(s)
+  // (the queued warning carries a key the Room can echo in step three)
+  const warning = S.setPendingVisitorWarning(data);
+
+  // if Room in online, it should handle this event and return a
+  // list of exposed visitors Server will handle below
+  // using the stepThreeRoomListsVisitorsForServer listener
+  S.deliver(room, 'stepTwoServerNotifiesRoom', warning);
+  cases.roomNotified(caseId, room, warning.key);
+}
+
+// the Rooms (of rooms) the server never saw the Visitor in
+// (see VisitLog.roomsVisited)
+// (if the graph fails, none: an outage must not hold back real warnings)
+function unvisitedRooms({ visitLog }, visitorId, rooms) {
+  return visitLog
+    .roomsVisited(visitorId)
+    .then((visited) => rooms.filter((room) => !visited.includes(room)))
+    .catch((err) => {
+      log.error('Unable to check visited Rooms', {
+        visitor: visitorId,
+        error: err,
+      });
+      return [];
+    });
+}
+
+// holds a warning for an admin's review instead of sending it on
+// (see review.js), and tells the tenant's admins
+function holdWarning({ nsp, review, cases }, via, data, flags) {
+  const held = review.hold(via, data, flags);
+  if (data.caseId) {
+    cases.roomFlagged(data.caseId, data.room, flags, held.reviewId);
+  }
+  log.warn('Held warning for review', {
+    room: data.room,
+    caseId: data.caseId,
+    flags: flags,
+  });
+  nsp.to(ADMINS).emit('warningHeld', held);
+  return held;
+}
+
+// an admin let a held warning through: the Room hears of it now
+function releaseWarning(tenant, held) {
+  const { reviewId, via, flags, heldAt, ...data } = held;
+  if (data.caseId) {
+    tenant.cases.roomReviewed(data.caseId, data.room, 'released');
+  }
+  if (via == 'exposureWarning') {
+    return tenant.S.sendOrPend({ event: 'notifyRoom', ...data });
+  }
+  warnRoom(tenant, data);
+  return 'RELEASED';
 }
-const S = new ServerProxy(io);
 
 //#endregion setup server proxy
 
 //#region socket.io server code
 //=============================================================================//
-io.on('connection', (socket) => {
+// each tenant's namespace runs its own copy of this handler
+// (so a socket only ever sees its own tenant's Rooms, Visitors and cases)
+function onTenantConnection(tenant, socket) {
+  const {
+    S,
+    cases,
+    registry,
+    roomSettings,
+    visitLog,
+    audit,
+    review,
+    purges,
+    analytics,
+  } = tenant;
   const query = socket.handshake.query;
 
-  newSection(`Handling a connection to ${socket.id}`);
+  log.debug('Handling a connection', { id: socket.id, tenant: tenant.name });
 
   if (query.id) {
-    if (query.id != socket.id) {
-      console.error(`Socket.id ${socket.id} != query.id ${query.id}`);
+    if (query.id != socket.client.id) {
+      log.error('Socket id does not match query.id', {
+        socketId: socket.client.id,
+        id: query.id,
+      });
       return;
     }
     if (query.room && !query.closed) {
-      console.groupCollapsed(`[${getNow()}] Reopening ${query.room}`);
       socket.join(query.room);
-      console.log('Open Rooms:', printJson(S.exposeOpenRooms()));
-      console.groupEnd();
+      log.info('Reopening Room', {
+        room: query.room,
+        openRooms: S.exposeOpenRooms().length,
+      });
     }
-    onConnection(query);
+    if (socket.identity.role == 'admin') {
+      socket.join(ADMINS);
+    }
+    onConnection(tenant, query);
     S.isVisitorPending(query.id);
   } else {
-    console.log(error(`Unknown socket ${socket.id}.`));
+    log.warn('Unknown socket', { socketId: socket.id });
   }
+
+  // answers a call in the shape the socket asked for (see acks.js)
+  const reply = responder(socket, config.acks.defaultVersion);
+
+  // registers a handler behind its permission (see permissions.js)
+  // and its payload schema (see schemas.js)
+  // refused calls get a FORBIDDEN ack and an audit log entry,
+  // malformed payloads an INVALID_PAYLOAD ack naming the field
+  const on = guard(
+    socket,
+    (event, reason, data) => {
+      log.warn('Forbidden', {
+        event: event,
+        socketId: socket.id,
+        reason: reason,
+      });
+      audit.record('forbidden', socket.identity, {
+        event: event,
+        reason: reason,
+        room: data && data.room,
+        address: socket.handshake.address,
+      });
+    },
+    (event, error) =>
+      log.info('Invalid payload', {
+        event: event,
+        socketId: socket.id,
+        field: error.field,
+        reason: error.message,
+      }),
+    reply
+  );
+
+  // wraps a handler in its group's rate limits (see ratelimits.js):
+  // a caller over the limit gets a RATE_LIMITED ack (with retryAfter, in
+  // seconds) and an audit log entry instead
+  const limited = (event, group, handler) => (data, ack) => {
+    const refusal =
+      limiter &&
+      limiter.take(
+        group,
+        `${socket.identity.tenant}|${socket.identity.id}`,
+        socket.handshake.address
+      );
+    if (!refusal) {
+      return handler(data, ack);
+    }
+    log.warn('Rate limited', {
+      event: event,
+      socketId: socket.id,
+      scope: refusal.scope,
+    });
+    audit.record('rateLimited', socket.identity, {
+      event: event,
+      scope: refusal.scope,
+      address: socket.handshake.address,
+    });
+    reply(
+      ack,
+      failure(
+        event,
+        'RATE_LIMITED',
+        `Too many ${refusal.group} calls (at most ${refusal.limit} per ${refusal.scope} every ${refusal.windowSeconds} seconds)`,
+        { scope: refusal.scope, retryAfter: refusal.retryAfter }
+      )
+    );
+  };
   //...........................................................................//
   //#region Open/Close Room
   // called by State Machine to bring a Room online
@@ -158,115 +554,83 @@ io.on('connection', (socket) => {
       const { room, id } = socket.handshake.query;
 
       if (!room) {
-        console.log(
-          error(
-            `${id} is not an LCT Room socket. No further processing possible.`
-          )
-        );
+        log.warn('Not an LCT Room socket', { id: id });
+        reply(ack, failure('openRoom', 'NOT_A_ROOM'));
         return;
       }
 
       // if Room is already open, return
       if (S.isOpen(id)) {
-        console.log(
-          `${room} is already open. No further processing necessary.`
-        );
-        if (ack) {
-          ack({
-            event: 'onOpenRoom',
-            room: data.room,
-            state: 'Reopened',
-            result: true,
-          });
-        }
+        log.debug('Room is already open', { room: room });
+        reply(ack, ok('openRoom', { room: data.room, state: 'Reopened' }), {
+          event: 'onOpenRoom',
+          room: data.room,
+          state: 'Reopened',
+          result: true,
+        });
         return;
       }
 
-      // console.log(message, socket.handshake.query);
-      console.groupCollapsed(`[${getNow()}] EVENT: onOpenRoom ${data.room}`);
-
-      console.log(`Open Rooms before ${data.room} opens...`);
-      console.log(printJson(S.openRooms));
       socket.join(data.room);
-
-      console.log(`...and after ${data.room} opens`);
-
-      console.log(printJson(S.exposeOpenRooms()));
-      console.log('Emitted exposeOpenRooms event ');
-
-      console.log('Visitors');
-      console.log(printJson(S.visitors));
-
-      // console.log('Available');
-      // console.log(printJson(S.available));
-      // console.log('Rooms');
-      // console.log(printJson(S.openRooms));
+      const openRooms = S.exposeOpenRooms();
 
       // check for pending warnings
-      console.log('...', S.handlePendings(socket.handshake.query));
+      S.handlePendings(socket.handshake.query);
       // if this checks for connection, why not check Room connected property?
       const assertion = S.roomIdsIncludeSocket(data.room, id);
 
-      console.assert(assertion, `${id} unable to join ${data.room}`);
+      log[assertion ? 'info' : 'error'](
+        assertion ? 'onOpenRoom' : 'Room unable to join its io room',
+        { room: data.room, openRooms: openRooms.length }
+      );
 
-      if (ack) {
-        ack({
+      reply(
+        ack,
+        assertion
+          ? ok('openRoom', { room: data.room, state: 'Opened' })
+          : failure('openRoom', 'NOT_JOINED', null, { room: data.room }),
+        {
           event: 'onOpenRoom',
           room: data.room,
           state: 'Opened',
           result: assertion,
-        });
-      }
+        }
+      );
     } catch (error) {
-      console.error('Oops, onOpenRoom() hit this:', error.message);
-    } finally {
-      console.groupEnd();
+      log.error('onOpenRoom failed', error);
+      reply(ack, failure('openRoom', 'SERVER_ERROR'));
     }
   };
 
   // If Room closes, all occupants must leave the Room first
   const onCloseRoom = function (data, ack) {
     try {
-      const { room, id, nsp } = data;
-      console.group(`[${getNow()}] EVENT: onCloseRoom [${room}]`);
-
-      console.log(`Rooms before ${room} closing...`);
-      console.log(printJson(S.openRooms));
+      const { room, id } = data;
 
+      const occupants = S.getOccupancy(room);
       if (S.rooms[room]) {
-        console.group('Occupants');
-        console.log('Occupants of Room before closing...');
-        console.log(printJson(S.rooms[room]));
-
-        Object.keys(S.rooms[room].sockets).forEach((value) => {
-          S.getSocket(value).leave(room);
-        });
-
-        console.log('...and after Room closing:');
-        console.log(printJson(S.rooms[room]));
-        console.groupEnd();
+        evictOccupants(tenant, room);
       }
-
-      console.log(`...after ${room} closing`);
-      console.log(printJson(S.openRooms));
-      console.log('Sockets');
-      console.log(printJson(S.sockets));
-      console.log('Open Rooms');
-      console.log(printJson(S.exposeOpenRooms()));
-      console.log('Emitted exposeOpenRooms event');
+      const openRooms = S.exposeOpenRooms();
 
       // if this checks for connection, why not check Room connected property?
       const assertion = !S.roomIdsIncludeSocket(room, id);
 
-      console.assert(assertion, `${id} unable to leave ${room}`);
+      log[assertion ? 'info' : 'error'](
+        assertion ? 'onCloseRoom' : 'Room unable to leave its io room',
+        { room: room, evicted: occupants, openRooms: openRooms.length }
+      );
 
-      if (ack) {
-        ack({ event: 'onCloseRoom', room: room, result: assertion });
-      }
+      reply(
+        ack,
+        assertion
+          ? ok('closeRoom', { room: room, evicted: occupants })
+          : failure('closeRoom', 'NOT_LEFT', null, { room: room }),
+        { event: 'onCloseRoom', room: room, result: assertion }
+      );
     } catch (error) {
-      console.error('Oops, closeRoom() hit this:', error.message);
-    } finally {
-      console.groupEnd();
+      log.error('onCloseRoom failed', error);
+      reply(ack, failure('closeRoom', 'SERVER_ERROR'));
     }
   };
   //#endregion
@@ -275,19 +639,49 @@ io.on('connection', (socket) => {
   // Visitor sends this event
   const onEnterRoom = (data, ack) => {
     try {
-      const { room, id, nsp, sentTime, visitor } = data;
-      console.groupCollapsed(`[${getNow()}] EVENT: onEnterRoom ${room}`);
-
-      // first, ensure the Room is open (note S.rooms returns an object
-      // that will include the name of an Open Room after a Room opens its own
-      // io room):
-      if (!S.rooms[room]) {
-        if (ack) {
-          ack({
-            error: 'Room must be open before you can enter',
-            on: 'server.onEnterRoom',
-          });
-        }
+      const { room, sentTime, visitor } = data;
+
+      // first, ensure the Room is open (its own socket is in its io room)
+      // and has space left (a Visitor already inside may re-enter)
+      // refused Visitors never join the Room's io room
+      const capacity = registry.capacityOf(room);
+      const occupancy = S.getOccupancy(room);
+      const refusal = !S.openRooms.some((r) => r.room == room)
+        ? {
+            code: 'ROOM_CLOSED',
+            message: `${room} must be open before you can enter`,
+          }
+        : capacity &&
+          occupancy >= capacity &&
+          !S.roomIdsIncludeSocket(room, socket.id)
+        ? {
+            code: 'ROOM_FULL',
+            message: `${room} is full (${occupancy} of ${capacity} Visitors)`,
+          }
+        : null;
+      if (refusal) {
+        log.info('Refused entry', {
+          visitor: socket.handshake.query.id,
+          room: room,
+          code: refusal.code,
+        });
+        reply(
+          ack,
+          failure('enterRoom', refusal.code, refusal.message, {
+            room: room,
+            occupants: occupancy,
+            capacity: capacity,
+          }),
+          {
+            event: 'onEnterRoom',
+            room: room,
+            occupants: occupancy,
+            capacity: capacity,
+            result: false,
+            error: refusal,
+          }
+        );
+        return;
       }
 
       // Enter the Room. As others enter, you will see a notification they, too, joined.
@@ -297,12 +691,14 @@ io.on('connection', (socket) => {
       //const result = io.nsps['/'].adapter.rooms
       // && io.nsps['/'].adapter.rooms[room].sockets[socket.id];
       const assertion = S.roomIdsIncludeSocket(room, socket.id);
-      console.assert(assertion, 'Could not enter Room', room);
+      if (assertion) {
+        visitLog.checkIn(socket.handshake.query.id, room, sentTime);
+      }
 
       // handled by Room.checkIn()
       // sending to individual socketid (private message)
       // this emit assumes the room is open (and not merely connected)
-      io.to(room).emit('checkIn', {
+      tenant.nsp.to(room).emit('checkIn', {
         visitor: visitor,
         sentTime: sentTime,
         room: room,
@@ -310,225 +706,396 @@ io.on('connection', (socket) => {
         socketId: socket.id,
       });
 
-      const occupants = S.getOccupancy(room);
-      console.log(warn(`${room} has ${occupants} occupants now:`));
-      console.log(printJson(S.rooms[room]));
-      if (occupants) {
-        if (ack) {
-          ack({
-            event: 'onEnterRoom',
-            room: room,
-            occupants: occupants,
-            result: assertion,
-            emits: 'checkIn',
-          });
-        }
-      } else {
-        if (ack) {
-          ack({
-            event: 'onEnterRoom',
-            room: room,
-            result: `Could not enter Room ${room}`,
-            emits: 'nothing',
-          });
-        }
-      }
+      const occupants = updateOccupancy(tenant, room);
+      log[assertion ? 'info' : 'error'](
+        assertion ? 'onEnterRoom' : 'Could not enter Room',
+        { visitor: socket.handshake.query.id, room: room, occupancy: occupants }
+      );
+      const entered = { room: room, occupants: occupants, capacity: capacity };
+      reply(
+        ack,
+        assertion
+          ? ok('enterRoom', entered)
+          : failure('enterRoom', 'NOT_JOINED', null, entered),
+        occupants
+          ? {
+              event: 'onEnterRoom',
+              ...entered,
+              result: assertion,
+              emits: 'checkIn',
+            }
+          : {
+              event: 'onEnterRoom',
+              room: room,
+              result: `Could not enter Room ${room}`,
+              emits: 'nothing',
+            }
+      );
     } catch (error) {
-      console.error('Oops, onEnterRoom() hit this:', error);
-    } finally {
-      console.groupEnd();
+      log.error('onEnterRoom failed', error);
+      reply(ack, failure('enterRoom', 'SERVER_ERROR'));
     }
   };
 
   const onLeaveRoom = (data, ack) => {
-    const { room, visitor, sentTime, message } = data;
-    console.groupCollapsed(`[${getNow()}] EVENT: onLeaveRoom ${room}`);
-    socket.leave(room);
-
-    // handled by Room.checkOut()
-    // sending to individual socketid (private message)
-    io.to(room).emit('checkOut', {
-      visitor: visitor,
-      sentTime: sentTime,
-      room: room,
-      message: message,
-    });
+    try {
+      const { room, visitor, sentTime, message } = data;
+      socket.leave(room);
+      recordCheckOut(tenant, socket.handshake.query.id, room, sentTime, 'left');
 
-    S.updateOccupancy(room);
-    console.log('Visitors:', printJson(S.visitors));
+      // handled by Room.checkOut()
+      // sending to individual socketid (private message)
+      tenant.nsp.to(room).emit('checkOut', {
+        visitor: visitor,
+        sentTime: sentTime,
+        room: room,
+        message: message,
+      });
 
-    const msg = `Using their own socket ${socket.id}, ${visitor.visitor} ${
-      S.roomIdsIncludeSocket(room, socket.handshake.query.id)
-        ? 'did not make it out of'
-        : 'made it out of'
-    } Room ${room} on ${getNow()}`;
+      const occupancy = updateOccupancy(tenant, room);
 
-    console.log(warn('leaveRoom():', msg));
-    if (ack) {
-      console.log('Sending ACK msg to Visitor');
-      ack(msg);
+      const left = !S.roomIdsIncludeSocket(room, socket.handshake.query.id);
+      const msg = `Using their own socket ${socket.id}, ${visitor.visitor} ${
+        left ? 'made it out of' : 'did not make it out of'
+      } Room ${room} on ${moment().format('HH:mm:ss:SSS:')}`;
+
+      log[left ? 'info' : 'error'](
+        left ? 'onLeaveRoom' : 'Could not leave Room',
+        { visitor: socket.handshake.query.id, room: room, occupancy: occupancy }
+      );
+      reply(
+        ack,
+        left
+          ? ok('leaveRoom', { room: room, occupants: occupancy })
+          : failure('leaveRoom', 'NOT_LEFT', null, { room: room }),
+        msg
+      );
+    } catch (error) {
+      log.error('onLeaveRoom failed', error);
+      reply(ack, failure('leaveRoom', 'SERVER_ERROR'));
     }
-    console.groupEnd();
   };
 
   //#endregion
 
   //#region Exposure Protocol: Server
-  socket.on('stepOneVisitorWarnsRooms', function (data, ack) {
-    const { visitor, warningsMap, reason } = data;
-    const warnings = new Map(warningsMap);
-
-    console.log(error(`handling: stepOneWarningFromVisitor`));
-    console.log(error(`Exposure(s): ${printJson(data)}`));
-    let results = [];
-
-    warnings.forEach((exposureDates, room) => {
-      console.log(error(`Notifying ${room}`));
-      results.push(room);
-      const data = {
-        room: room,
-        reason: reason,
-        exposureDates: exposureDates,
-        visitor: visitor,
-      };
-
-      // in case Room is offline, cache the warning(s)
-      S.setPendingVisitorWarning(data);
+  // warnings to Rooms missing from the Room registry (typos, stale QR codes)
+  // are rejected rather than parked in pendingVisitorWarnings forever
+  // removes them from the warnings Map and returns their names
+  const rejectUnknownRooms = (warnings) => {
+    const rejected = [...warnings.keys()].filter(
+      (room) => !registry.accepts(room)
+    );
+    rejected.forEach((room) => warnings.delete(room));
+    if (rejected.length) {
+      log.warn('Rejected warnings to unknown Rooms', { rooms: rejected });
+    }
+    return rejected;
+  };
+  const unknownRooms = (rejected) => ({
+    code: 'UNKNOWN_ROOM',
+    message: `Unknown Room(s): ${rejected.join(', ')}`,
+  });
 
-      // if Room in online, it should handle this event and return a
-      // list of exposed visitors Server will handle below
-      // using the stepThreeRoomListsVisitorsForServer listener
-      S.stepMessage(room, 'stepTwoServerNotifiesRoom', data);
-    });
+  on(
+    'stepOneVisitorWarnsRooms',
+    OWN_WARNINGS,
+    limited('stepOneVisitorWarnsRooms', 'warnings', function (data, ack) {
+      const { warningsMap, reason } = data;
+      // always the caller (see OWN_WARNINGS), whatever the payload says
+      const visitor = { ...data.visitor, id: socket.identity.id };
+      const warnings = new Map(warningsMap);
 
-    // ack handled by Visitor in warnRoomCard.vue
-    if (ack) {
-      ack({
-        handler: 'stepOneVisitorWarnsRooms',
-        result: results.flat(),
-        emits: 'stepTwoServerNotifiesRoom',
+      log.info('stepOneVisitorWarnsRooms', {
+        visitor: visitor.id,
+        rooms: warnings.size,
       });
-    }
-  });
+      let results = [];
+
+      const rejected = rejectUnknownRooms(warnings);
+      if (!warnings.size) {
+        const error = unknownRooms(rejected);
+        reply(
+          ack,
+          failure('stepOneVisitorWarnsRooms', error.code, error.message, {
+            rejected: rejected,
+          }),
+          {
+            handler: 'stepOneVisitorWarnsRooms',
+            result: [],
+            rejected: rejected,
+            error: error,
+          }
+        );
+        return;
+      }
+
+      // the case ties this warning to steps two through five
+      const { caseId } = cases.open({ visitor, reason, warnings });
+
+      unvisitedRooms(tenant, visitor.id, [...warnings.keys()])
+        .then((unvisited) => {
+          const held = [];
+          warnings.forEach((exposureDates, room) => {
+            const data = {
+              room: room,
+              reason: reason,
+              exposureDates: exposureDates,
+              visitor: visitor,
+              caseId: caseId,
+            };
+            if (unvisited.includes(room)) {
+              if (config.review.holdUnvisited) {
+                held.push(room);
+                holdWarning(tenant, 'stepOneVisitorWarnsRooms', data, [
+                  'NEVER_VISITED',
+                ]);
+                return;
+              }
+              cases.roomFlagged(caseId, room, ['NEVER_VISITED']);
+            }
+            log.debug('Notifying Room', { room: room, caseId: caseId });
+            results.push(room);
+            warnRoom(tenant, data);
+          });
+
+          // ack handled by Visitor in warnRoomCard.vue
+          reply(
+            ack,
+            ok('stepOneVisitorWarnsRooms', {
+              caseId: caseId,
+              rooms: results,
+              held: held,
+              rejected: rejected,
+            }),
+            {
+              handler: 'stepOneVisitorWarnsRooms',
+              caseId: caseId,
+              result: results,
+              held: held,
+              rejected: rejected,
+              emits: 'stepTwoServerNotifiesRoom',
+            }
+          );
+        })
+        .catch((err) => {
+          log.error('stepOneVisitorWarnsRooms failed', err);
+          reply(ack, failure('stepOneVisitorWarnsRooms', 'SERVER_ERROR'));
+        });
+    })
+  );
 
   // stepTwoServerNotifiesRoom was handled by Room,
   // and Room then emitted stepThreeRoomListsVisitorsForServer
   // which is acting like an ACK from stepTwoServerNotifiesRoom
-  socket.on('stepThreeRoomListsVisitorsForServer', (exposures, ack) => {
-    console.log(
-      info(
-        `Handling stepThreeRoomListsVisitorsForServer: exposedVisitors: ${printJson(
-          exposures
-        )}`
-      )
-    );
-    const { exposedVisitors, room } = exposures;
+  on(
+    'stepThreeRoomListsVisitorsForServer',
+    OWN_ROOM,
+    limited(
+      'stepThreeRoomListsVisitorsForServer',
+      'alerts',
+      (exposures, ack) => {
+        const {
+          exposedVisitors,
+          room,
+          caseId,
+          key,
+          keys,
+          visitor,
+          exposureDates,
+        } = exposures;
+        log.info('stepThreeRoomListsVisitorsForServer', {
+          room: room,
+          caseId: caseId,
+          exposedVisitors: exposedVisitors,
+        });
 
-    exposedVisitors.forEach((visitor) => {
-      const data = {
-        visitorId: visitor.id,
-        room: room,
-      };
-      S.setPendingRoomAlerts(data);
-
-      // Final step. This one sent to Visitor
-      console.log(error('Handing off to Visitor'));
-      console.log(error(printJson(visitor)));
-      S.stepMessage(visitor.id, 'stepFourServerAlertsVisitor', {
-        exposedVisitor: visitor,
-        room: room,
-      });
-    });
-    S.deletePendingVisitorWarning(room, 'stepThreeRoomListsVisitorsForServer');
+        // step three answers step two (whether or not the Room acked it)
+        S.courier.acknowledge({
+          recipient: room,
+          events: ['stepTwoServerNotifiesRoom'],
+          key: key,
+        });
+        // Rooms that echo a warning's key (or its visitor) acknowledge only
+        // that warning; older Rooms acknowledge everything delivered to them
+        const acknowledged = S.deletePendingVisitorWarning(
+          room,
+          'stepThreeRoomListsVisitorsForServer',
+          key || keys || visitor
+            ? { key, keys, visitor, exposureDates }
+            : undefined
+        );
 
-    // ack handled by Room.vue
-    if (ack) {
-      ack(exposedVisitors.length);
-    }
-  });
+        // the case(s) this Room is answering: the one it names, else those of
+        // the warnings it acknowledged, else every case still waiting on it
+        let caseIds = caseId ? [caseId] : acknowledged.flatMap(caseIdsOf);
+        if (!caseIds.length) {
+          caseIds = cases.awaitingRoom(room).map((c) => c.caseId);
+        }
+        // scoring needs the visit graph; alerts go out (unscored) even if it fails
+        scoreExposedVisitors(tenant, room, exposedVisitors, caseIds)
+          .catch((err) => {
+            log.error('Unable to score exposures', { room: room, error: err });
+            return exposedVisitors;
+          })
+          .then((scored) =>
+            alertExposedVisitors(tenant, room, scored, caseIds, 'room')
+          );
+
+        // ack handled by Room.vue
+        reply(
+          ack,
+          ok('stepThreeRoomListsVisitorsForServer', {
+            room: room,
+            caseIds: caseIds,
+            alerted: exposedVisitors.length,
+          }),
+          exposedVisitors.length
+        );
+      }
+    )
+  );
 
   // stepThreeRoomListsVisitorsForServer was handled by Visitor,
   // and Visitor then emitted stepFiveVisitorReceivedAlert
   // which is acting like an ACK from stepThreeRoomListsVisitorsForServer
-  socket.on('stepFiveVisitorReceivedAlert', (visitorId, ack) => {
-    console.log(info(`Handling stepFiveVisitorReceivedAlert for ${visitorId}`));
+  // older Visitors send only their id; newer ones send
+  // {visitorId, key} (or room) so only that alert is deleted
+  // (only for the caller's own alerts: see OWN_ALERTS)
+  on('stepFiveVisitorReceivedAlert', OWN_ALERTS, (received, ack) => {
+    const visitorId = socket.identity.id;
+    const { key, keys, room } =
+      received && typeof received === 'object' ? received : {};
+    log.info('stepFiveVisitorReceivedAlert', { visitor: visitorId });
+
+    // step five answers step four (whether or not the Visitor acked it)
+    S.courier.acknowledge({
+      recipient: visitorId,
+      events: ['stepFourServerAlertsVisitor', 'exposureAlert'],
+      key: key,
+    });
 
-    S.deletePendingRoomAlerts(visitorId);
+    const receivedAlerts = S.deletePendingRoomAlerts(
+      visitorId,
+      key || keys || room ? { key, keys, room } : undefined
+    );
+    receivedAlerts
+      .flatMap(caseIdsOf)
+      .forEach((caseId) => cases.visitorReceived(caseId, visitorId));
 
     // ack handled by Visitor.vue
-    if (ack) {
-      ack('Alert deleted on server');
-    }
+    reply(
+      ack,
+      ok('stepFiveVisitorReceivedAlert', { deleted: receivedAlerts.length }),
+      'Alert deleted on server'
+    );
   });
   //#endregion
 
   // sent by Visitor
-  // server handles the Visitor's exposureWarning with a notifyRoom event so Room can take over
+  // data is {visitor, room, checkIn, checkOut}: the server builds the query
+  // (clients used to send raw Cypher, which let any socket rewrite the graph)
+  // (its schema, validateVisit, rejects anything else with INVALID_VISIT,
+  // as does checkVisitTimes() a visit the server could not have seen)
   const onLogVisit = (data, ack) => {
-    console.log('query:', data);
-    graph.query(data).then((results) => {
-      const stats = results._statistics._raw;
-      console.log(`stats: ${printJson(stats)}`);
-      if (ack) {
-        ack(stats);
-      }
-    });
+    const error = checkVisitTimes(data, config.retention.days);
+    if (error) {
+      log.info('Invalid visit times', {
+        socketId: socket.id,
+        field: error.field,
+        reason: error.message,
+      });
+      reply(
+        ack,
+        failure('logVisit', 'INVALID_VISIT', error.message, {
+          field: error.field,
+        })
+      );
+      return;
+    }
+    visitLog
+      .logVisit(data)
+      .then((visit) => {
+        reply(ack, ok('logVisit', { visit: visit }), {
+          event: 'logVisit',
+          result: true,
+        });
+      })
+      .catch((err) => {
+        log.error('onLogVisit failed', err);
+        reply(ack, failure('logVisit', 'GRAPH_ERROR', 'Unable to log visit'));
+      });
   };
 
   const onExposureWarning = (data, ack) => {
     try {
-      const { visitor, warningsMap, reason } = data;
-      console.assert(visitor, 'visitor cannot be empty');
-      console.groupCollapsed(
-        `[${getNow()}] EVENT: onExposureWarning from [${visitor.visitor}/${
-          visitor.id
-        }]`
-      );
-      console.group('Available Rooms:');
-      console.log(printJson(S.available));
-      console.groupEnd();
-      console.group('Open Rooms:');
-      console.log(printJson(S.openRooms));
-      console.groupEnd();
-      console.group('Warning data:');
-      console.log(printJson(data));
-      console.groupEnd();
+      const { warningsMap, reason } = data;
+      // always the caller (see OWN_WARNINGS), whatever the payload says
+      const visitor = { ...data.visitor, id: socket.identity.id };
 
       let results = [];
 
       // warningsMap is serializd, so deserialize in a new Map
       const warnings = new Map(warningsMap);
-
-      console.group('Mapped Warning data:');
-      console.log(printJson([...warnings]));
-      console.groupEnd();
-
-      // iterate collection notifying each Room separately
-      // notifyRoom expects this data:
-      // {room, reason, exposureDates, visitor}
-      warnings.forEach((exposureDates, room) => {
-        results.push(
-          S.sendOrPend({
-            event: 'notifyRoom',
-            room: room,
-            reason: reason,
-            exposureDates: exposureDates,
-            visitor: visitor.id,
-          })
-        );
+      log.info('onExposureWarning', {
+        visitor: visitor.id,
+        rooms: warnings.size,
       });
 
-      if (ack) {
-        ack({
-          handler: 'onExposureWarning',
-          result: results.flat(),
-          emits: 'notifyRoom',
+      const rejected = rejectUnknownRooms(warnings);
+      const error = rejected.length && !warnings.size && unknownRooms(rejected);
+
+      // (warnings to Rooms the Visitor never visited may be held for
+      // review, as in stepOneVisitorWarnsRooms)
+      unvisitedRooms(tenant, visitor.id, [...warnings.keys()])
+        .then((unvisited) => {
+          const held = [];
+          // iterate collection notifying each Room separately
+          // notifyRoom expects this data:
+          // {room, reason, exposureDates, visitor}
+          warnings.forEach((exposureDates, room) => {
+            const data = {
+              room: room,
+              reason: reason,
+              exposureDates: exposureDates,
+              visitor: visitor.id,
+            };
+            if (config.review.holdUnvisited && unvisited.includes(room)) {
+              held.push(room);
+              holdWarning(tenant, 'exposureWarning', data, ['NEVER_VISITED']);
+              return;
+            }
+            results.push(S.sendOrPend({ event: 'notifyRoom', ...data }));
+          });
+
+          reply(
+            ack,
+            error
+              ? failure('exposureWarning', error.code, error.message, {
+                  rejected: rejected,
+                })
+              : ok('exposureWarning', {
+                  rooms: results.flat(),
+                  held: held,
+                  rejected: rejected,
+                }),
+            {
+              handler: 'onExposureWarning',
+              result: results.flat(),
+              held: held,
+              rejected: rejected,
+              ...(error ? { error: error } : {}),
+              emits: 'notifyRoom',
+            }
+          );
+        })
+        .catch((err) => {
+          log.error('onExposureWarning failed', err);
+          reply(ack, failure('exposureWarning', 'SERVER_ERROR'));
         });
-      }
     } catch (error) {
-      console.error('onExposureWarning sees:', error);
-    } finally {
-      console.groupEnd();
+      log.error('onExposureWarning failed', error);
+      reply(ack, failure('exposureWarning', 'SERVER_ERROR'));
     }
   };
 
@@ -538,35 +1105,28 @@ io.on('connection', (socket) => {
     // Visitor message includes the Room names to alert
     try {
       const { message, visitor, room } = data;
-      console.groupCollapsed(
-        `[${getNow()}] EVENT: onAlertVisitor [${visitor.visitor}/${visitor.id}]`
-      );
       if (!message || !visitor) {
-        if (ack) {
-          ack(
-            new error(
-              `${
-                message ? 'Missing visitor identity' : 'No message to process'
-              }`
-            )
-          );
-        }
+        reply(
+          ack,
+          failure(
+            'alertVisitor',
+            'INVALID_PAYLOAD',
+            message ? 'Missing visitor identity' : 'No message to process',
+            { field: message ? 'visitor' : 'message' }
+          )
+        );
         return;
       }
 
       // send or cache the alert
-      console.log(`${room} alerting ${visitor.visitor}`);
+      log.info('onAlertVisitor', { room: room, visitor: visitor.id });
       data.event = 'exposureAlert';
       let result = S.sendOrPend(data);
-      console.groupEnd();
 
-      if (ack) {
-        ack(result);
-      }
+      reply(ack, ok('alertVisitor', { state: result }), result);
     } catch (error) {
-      console.error('ERROR: onAlertVisitor sees:', error);
-    } finally {
-      console.groupEnd();
+      log.error('onAlertVisitor failed', error);
+      reply(ack, failure('alertVisitor', 'SERVER_ERROR'));
     }
   }
   //...........................................................................//
@@ -575,60 +1135,315 @@ io.on('connection', (socket) => {
   //+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++//
 
   // sent from Visitor
-  socket.on('logVisit', onLogVisit);
+  on('logVisit', OWN_VISITS, limited('logVisit', 'visits', onLogVisit));
   // Visitor sends this message:
   // {visitor:{name, id, nsp}, room:{room, id, nsp}, message:{}, sentTime: dateTime}
   // disambiguate enterRoom event from the event handler in the Room, checkIn
-  socket.on('enterRoom', onEnterRoom);
+  on('enterRoom', VISITOR, limited('enterRoom', 'enterRoom', onEnterRoom));
   // disambiguate leaveRoom event from the event handler in the Room, checkOut
-  socket.on('leaveRoom', onLeaveRoom);
-  socket.on('exposureWarning', onExposureWarning);
+  on('leaveRoom', VISITOR, onLeaveRoom);
+  on(
+    'exposureWarning',
+    OWN_WARNINGS,
+    limited('exposureWarning', 'warnings', onExposureWarning)
+  );
+  // what the server holds about the calling Visitor, and erasing it
+  // (see privacy.js): always the caller's own data, by their token's id
+  on('requestMyData', VISITOR, (data, ack) =>
+    exportVisitorData(tenant, socket.identity.id)
+      .then((exported) => reply(ack, ok('requestMyData', exported)))
+      .catch((err) => {
+        log.error('Unable to export Visitor data', err);
+        reply(
+          ack,
+          failure('requestMyData', 'GRAPH_ERROR', 'Unable to read visits')
+        );
+      })
+  );
+  on('eraseMyData', VISITOR, (data, ack) =>
+    eraseVisitorData(tenant, socket.identity.id)
+      .then((receipt) => {
+        log.info('Erased Visitor data', {
+          receiptId: receipt.receiptId,
+          ...receipt.erased,
+        });
+        reply(ack, ok('eraseMyData', receipt));
+      })
+      .catch((err) => {
+        log.error('Unable to erase Visitor data', err);
+        reply(
+          ack,
+          failure('eraseMyData', 'GRAPH_ERROR', 'Unable to erase visits')
+        );
+      })
+  );
 
-  // Rooms send these events
-  socket.on('openRoom', onOpenRoom); // sent from Room for each visitor
-  socket.on('closeRoom', onCloseRoom);
+  // Rooms send these events (each on its own behalf only)
+  on('openRoom', OWN_ROOM, onOpenRoom); // sent from Room for each visitor
+  on('closeRoom', OWN_ROOM, onCloseRoom);
   // (each Visitor warned each Room the date(s) Visitor occupied the Room)
-  socket.on('alertVisitor', onAlertVisitor);
+  on(
+    'alertVisitor',
+    OWN_ROOM,
+    limited('alertVisitor', 'alerts', onAlertVisitor)
+  );
 
   // end Socket Events
   //+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++//
   //#endregion
 
   //#region  Admin events (for Room managers use)
+  // these expose every Visitor's id and whereabouts, so only admins may call them
+  // (except the open and available Room lists, which Visitors need)
 
-  socket.on('exposeAllSockets', (data, ack) => {
+  on('exposeAllSockets', ADMIN, (data, ack) =>
+    reply(ack, ok('exposeAllSockets', S.sockets))
+  );
+  // (exposing the open Rooms also broadcasts them, so only when asked)
+  on('exposeOpenRooms', ANYONE, (data, ack) => {
     if (ack) {
-      ack(S.sockets);
+      reply(ack, ok('exposeOpenRooms', S.exposeOpenRooms()));
     }
   });
-  socket.on('exposeOpenRooms', (data, ack) => {
-    if (ack) {
-      ack(S.exposeOpenRooms());
-    }
+  on('exposePendingRoomAlerts', ADMIN, (data, ack) =>
+    reply(ack, ok('exposePendingRoomAlerts', [...S.pendingRoomAlerts]))
+  );
+  on('exposePendingVistorWarnings', ADMIN, (data, ack) =>
+    reply(ack, ok('exposePendingVistorWarnings', [...S.pendingVisitorWarnings]))
+  );
+  // messages the Courier is (or was) delivering, with their retry counts
+  on('exposeDeliveries', ADMIN, (data, ack) =>
+    reply(ack, ok('exposeDeliveries', S.courier.deliveries))
+  );
+  // exposure cases (or just the one named by data.caseId)
+  on('exposeCases', ADMIN, (data, ack) => {
+    const exposureCase = data && data.caseId && cases.get(data.caseId);
+    reply(
+      ack,
+      ok(
+        'exposeCases',
+        exposureCase ? cases.summarize(exposureCase) : cases.list()
+      )
+    );
   });
-  socket.on('exposePendingRoomAlerts', (data, ack) => {
-    if (ack) {
-      ack(S.pendingRoomAlerts);
+  // per-Room settings (e.g., exposureMode: 'room' or 'server')
+  on('exposeRoomSettings', ADMIN, (data, ack) =>
+    reply(
+      ack,
+      ok(
+        'exposeRoomSettings',
+        data && data.room ? roomSettings.get(data.room) : roomSettings.list()
+      )
+    )
+  );
+  on('setRoomSettings', ADMIN, (data, ack) => {
+    try {
+      const settings = roomSettings.set(data.room, data);
+      reply(ack, ok('setRoomSettings', settings), {
+        event: 'setRoomSettings',
+        room: data.room,
+        result: settings,
+      });
+    } catch (err) {
+      reply(
+        ack,
+        failure('setRoomSettings', 'INVALID_SETTINGS', err.message, {
+          room: data.room,
+        }),
+        { event: 'setRoomSettings', room: data.room, error: err.message }
+      );
     }
   });
-  socket.on('exposePendingVistorWarnings', (data, ack) => {
-    if (ack) {
-      ack(S.pendingVisitorWarnings);
+  // the Room registry (see rooms.js), with each Room's device state
+  on('exposeRoomRegistry', ADMIN, (data, ack) =>
+    reply(ack, ok('exposeRoomRegistry', registry.status(S)))
+  );
+  on('registerRoom', ADMIN, (data, ack) => {
+    try {
+      const room = registry.register(data);
+      audit.record('registerRoom', socket.identity, { room: room.id });
+      reply(ack, ok('registerRoom', room), {
+        event: 'registerRoom',
+        room: room.id,
+        result: room,
+      });
+    } catch (err) {
+      reply(ack, failure('registerRoom', 'INVALID_ROOM', err.message), {
+        event: 'registerRoom',
+        result: false,
+        error: err.message,
+      });
     }
   });
-  socket.on('exposeAvailableRooms', (data, ack) => {
-    if (ack) {
-      ack(S.available);
+  on('unregisterRoom', ADMIN, (data, ack) => {
+    const room = registry.unregister(data.room);
+    if (room) {
+      audit.record('unregisterRoom', socket.identity, { room: room.id });
     }
+    reply(
+      ack,
+      room
+        ? ok('unregisterRoom', room)
+        : failure(
+            'unregisterRoom',
+            'NOT_FOUND',
+            `${data.room} is not registered`
+          ),
+      { event: 'unregisterRoom', room: data.room, result: room }
+    );
   });
-  socket.on('exposeVisitorsRooms', (data, ack) => {
-    if (ack) {
-      ack(S.visitors);
+  // data is {csv}: a header row naming id, name, building, capacity, contact
+  on('importRooms', ADMIN, (data, ack) => {
+    registry
+      .importCsv(data.csv)
+      .then((report) => {
+        audit.record('importRooms', socket.identity, {
+          added: report.added,
+          updated: report.updated,
+        });
+        reply(ack, ok('importRooms', report), {
+          event: 'importRooms',
+          result: report,
+        });
+      })
+      .catch((err) =>
+        reply(ack, failure('importRooms', 'INVALID_CSV', err.message), {
+          event: 'importRooms',
+          result: false,
+          error: err.message,
+        })
+      );
+  });
+  on('exposeAvailableRooms', ANYONE, (data, ack) =>
+    reply(ack, ok('exposeAvailableRooms', S.available))
+  );
+  on('exposeVisitorsRooms', ADMIN, (data, ack) =>
+    reply(ack, ok('exposeVisitorsRooms', S.visitors))
+  );
+  // refused calls and other security events (see audit.js)
+  on('exposeAuditLog', ADMIN, (data, ack) =>
+    reply(ack, ok('exposeAuditLog', audit.list(data || {})))
+  );
+  // what the retention job purged (see retention.js), newest first
+  on('exposePurges', ADMIN, (data, ack) =>
+    reply(ack, ok('exposePurges', purges.list(data || {})))
+  );
+
+  // a Room's hourly or daily occupancy and stays (see analytics.js)
+  // {room, bucket, from, to}: Rooms ask for their own, admins for any Room
+  // (or, without a room, every Room)
+  on('exposeRoomAnalytics', ROOM_MANAGER, (data, ack) => {
+    const { room, bucket, from, to } = data || {};
+    try {
+      const series = analytics.series({
+        room: room,
+        size: bucket,
+        ...rangeOf({ from, to }),
+      });
+      const query = { room: room || null, bucket: bucket || 'hour' };
+      reply(ack, ok('exposeRoomAnalytics', { ...query, series: series }), {
+        event: 'exposeRoomAnalytics',
+        ...query,
+        result: series,
+      });
+    } catch (err) {
+      reply(ack, failure('exposeRoomAnalytics', 'INVALID_QUERY', err.message));
     }
   });
 
-  socket.on('pingServer', function (data, ack) {
-    if (ack) ack(`Server is at your disposal, ${data}`);
+  // admin actions (see vue3/admin.html), each recorded in the audit log
+  // queue is 'warnings' (id is a Room name) or 'alerts' (id is a Visitor id)
+  // reviewId names a warning held for review
+  // (their schemas reject an unknown queue or a missing id or key)
+  const adminAction = (event, data, ack, action) => {
+    try {
+      const { queue, id, key, room, reviewId } = data;
+      const result = action({ queue, id, key, room, reviewId });
+      if (!result) {
+        return reply(
+          ack,
+          failure(
+            event,
+            'NOT_FOUND',
+            reviewId
+              ? `No held warning ${reviewId}`
+              : room
+              ? `${room} is not open`
+              : `No pending item ${key} for ${id}`
+          )
+        );
+      }
+      audit.record(event, socket.identity, {
+        queue,
+        id,
+        key,
+        room: room || result.room,
+        reviewId,
+      });
+      reply(ack, ok(event, result), { event: event, result: result });
+    } catch (error) {
+      log.error(`${event} failed`, error);
+      reply(ack, failure(event, 'SERVER_ERROR'));
+    }
+  };
+
+  // delivers a pending item now (e.g., after fixing a Room's device)
+  on('forceDeliverPending', ADMIN, (data, ack) =>
+    adminAction('forceDeliverPending', data, ack, ({ queue, id, key }) => {
+      const message = S.forceDeliver(queue, id, key);
+      return message && { messageId: message.messageId, state: message.state };
+    })
+  );
+  // drops a stale pending item (e.g., a warning for a Room that is gone)
+  on('dropPending', ADMIN, (data, ack) =>
+    adminAction('dropPending', data, ack, ({ queue, id, key }) => {
+      const dropped =
+        queue == 'warnings'
+          ? S.deletePendingVisitorWarning(id, 'dropPending', { key })
+          : S.deletePendingRoomAlerts(id, { key });
+      return dropped.length && dropped;
+    })
+  );
+  // warnings held for review (see review.js), oldest first
+  on('exposeReviewQueue', ADMIN, (data, ack) =>
+    reply(ack, ok('exposeReviewQueue', review.list()))
+  );
+  // lets a held warning through to its Room (step two)
+  on('releaseWarning', ADMIN, (data, ack) =>
+    adminAction('releaseWarning', data, ack, ({ reviewId }) => {
+      const held = review.take(reviewId);
+      return held && { ...held, state: releaseWarning(tenant, held) };
+    })
+  );
+  // drops a held warning: its Room never hears of it
+  on('rejectWarning', ADMIN, (data, ack) =>
+    adminAction('rejectWarning', data, ack, ({ reviewId }) => {
+      const held = review.take(reviewId);
+      if (held && held.caseId) {
+        cases.roomReviewed(held.caseId, held.room, 'rejected');
+      }
+      return held;
+    })
+  );
+  // closes a Room on its behalf (e.g., a Room device left open overnight)
+  on('forceCloseRoom', ADMIN, (data, ack) =>
+    adminAction('forceCloseRoom', data, ack, ({ room }) => {
+      if (!room || !S.rooms[room]) {
+        return null;
+      }
+      evictOccupants(tenant, room);
+      S.exposeOpenRooms();
+      return { room: room, open: !!S.rooms[room] };
+    })
+  );
+
+  // (clients can check the server's version during migrations)
+  on('pingServer', ANYONE, function (data, ack) {
+    reply(
+      ack,
+      ok('pingServer', { version: version }),
+      `Server is at your disposal, ${data}`
+    );
   });
 
   socket.on('disconnect', (reason) => {
@@ -636,49 +1451,182 @@ io.on('connection', (socket) => {
       reason === 'client namespace disconnect' &&
       socket.handshake.query.room
     ) {
-      console.log(info('Updating Visitor Open Rooms list'));
+      log.debug('Updating Visitor Open Rooms list');
       S.exposeOpenRooms();
     }
   });
 
   socket.on('disconnecting', (reason) => {
     const query = socket.handshake.query;
-    console.warn(
-      `[${getNow()}] ${query.room || query.visitor} disconnecting because`,
-      reason
-    );
-    console.warn(`Status of sockets at ${getNow()}`);
-    S.rawSockets.forEach((socket) => {
-      const { id, visitor, room } = socket[1].handshake.query;
-      console.warn(
-        '\t',
-        id,
-        visitor || room,
-        socket[1].connected ? 'connected' : 'disconnected'
+    // a Visitor that disconnects mid-visit has left every Room it was in
+    // (and those Rooms have one occupant less once it is gone)
+    if (query.visitor) {
+      visitLog
+        .checkOutAll(query.id, 'disconnected')
+        .then((visits) => visits.forEach((visit) => recordVisit(tenant, visit)))
+        .catch((err) =>
+          log.error('Unable to record visits', {
+            visitor: query.id,
+            error: err,
+          })
+        );
+      const occupied = Object.keys(socket.rooms).filter(
+        (room) => room != socket.id
       );
+      socket.once('disconnect', () =>
+        occupied.forEach((room) => updateOccupancy(tenant, room))
+      );
+    }
+    log.info('Disconnecting', {
+      name: nameOf(query),
+      id: query.id,
+      reason: reason,
+    });
+    log.debug('Sockets', {
+      connected: S.rawSockets.filter((socket) => socket[1].connected).length,
+      total: S.rawSockets.length,
     });
   });
-});
-//#endregion
-
-io.on('reconnect', (socket) => {
-  // immediately reconnection
-  if (socket.handshake.query.id) {
-    console.log('...', S.handlePendings(socket.handshake.query));
+}
 
-    console.table(S.sockets);
-  }
+tenants.forEach((tenant) => {
+  tenant.nsp.use(authenticateSocket(tenant));
+  tenant.nsp.on('connection', (socket) => onTenantConnection(tenant, socket));
+
+  tenant.nsp.on('reconnect', (socket) => {
+    // immediately reconnection
+    if (socket.handshake.query.id) {
+      tenant.S.handlePendings(socket.handshake.query);
+      log.debug('Reconnected', {
+        id: socket.handshake.query.id,
+        sockets: tenant.S.sockets.length,
+      });
+    }
+  });
 });
+//#endregion
 
 const hostname = process.env.HOSTNAME || 'localhost';
 const port = process.env.PORT || 3003;
 
 app.use(serveStatic(path.join(__dirname, './dist')));
+// the admin dashboard (and the other vue3 pages)
+app.use('/vue3', serveStatic(path.join(__dirname, './vue3')));
+app.get('/admin', (req, res) => res.redirect('/vue3/admin.html'));
+
+// onboarding: issues the signed token a client sends as its `token` query
+// Visitors onboard themselves (with a fresh id), Rooms and Admins need an
+// admin's token in the Authorization header (Bearer <token>)
+const bearerIdentity = (req) => auth.verifyBearer(req.get('Authorization'));
+
+// the tenant a request names (body.tenant or ?tenant=)
+// with only one tenant, requests need not name it
+const tenantOfRequest = (req) =>
+  tenants.get(
+    (req.body && req.body.tenant) ||
+      req.query.tenant ||
+      (tenants.size == 1 ? [...tenants.keys()][0] : undefined)
+  );
 
-http.listen(port, () => {
-  console.log(info(`Server.js Build: ${version}`));
-  console.log(info(moment().format('llll')));
-  console.log(`Server running on http://${hostname}:${port}`);
-  console.log(' ');
+// each address may onboard only so often (see ratelimits.js), so no one
+// can mint identities to get around the per-identity limits
+app.post('/onboard/:role', (req, res) => {
+  const { role } = req.params;
+  const name = req.body && req.body[role];
+  const tenant = tenantOfRequest(req);
+  const refusal = limiter && limiter.take('onboard', null, req.ip);
+  if (refusal) {
+    log.warn('Rate limited', { event: 'onboard', scope: refusal.scope });
+    if (tenant) {
+      tenant.audit.record(
+        'rateLimited',
+        {},
+        {
+          event: `POST /onboard/${role}`,
+          scope: refusal.scope,
+          address: req.ip,
+        }
+      );
+    }
+    return res
+      .status(429)
+      .set('Retry-After', String(refusal.retryAfter))
+      .json({
+        error: `Too many onboardings (at most ${refusal.limit} per ${refusal.scope} every ${refusal.windowSeconds} seconds)`,
+        retryAfter: refusal.retryAfter,
+      });
+  }
+  if (!name) {
+    return res.status(400).json({ error: `Missing ${role} name` });
+  }
+  if (!tenant) {
+    return res.status(400).json({ error: 'Missing or unknown tenant' });
+  }
+  if (role != 'visitor') {
+    const issuer = bearerIdentity(req);
+    if (
+      !issuer ||
+      issuer.role != 'admin' ||
+      (issuer.tenant || config.DEFAULT_TENANT) != tenant.name
+    ) {
+      return res
+        .status(403)
+        .json({ error: `Only ${tenant.name} admins can onboard a ${role}` });
+    }
+  }
+  try {
+    const identity = {
+      id: base64id.generateId(),
+      role: role,
+      name: name,
+      tenant: tenant.name,
+    };
+    res.json({ ...identity, token: auth.issue(identity) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
 });
+
+// JSON API for ops scripts and uptime checks (see api.js)
+// (exposure cases moved from /cases to /api/cases, behind admin tokens)
+app.use(
+  '/api',
+  createApi({
+    auth: auth,
+    tenants: tenants,
+    defaultTenant: config.DEFAULT_TENANT,
+    version: version,
+  })
+);
+
+// reload each tenant's pending warnings/alerts (and their cases)
+// before any Room or Visitor can connect
+Promise.all([
+  auth.restore(),
+  ...[...tenants.values()].flatMap((tenant) => [
+    tenant.S.restorePendings(),
+    tenant.cases.restore(),
+    tenant.roomSettings.restore(),
+    tenant.audit.restore(),
+    tenant.review.restore(),
+    tenant.purges.restore(),
+    tenant.registry.restore(),
+    tenant.analytics.restore(),
+  ]),
+])
+  .catch((err) => {
+    log.error('Unable to restore pendings', err);
+  })
+  .then(() => {
+    http.listen(port, () => {
+      log.info('Server running', {
+        build: version,
+        url: `http://${hostname}:${port}`,
+        tenants: [...tenants.keys()],
+      });
+      // this release's transitional defaults (see config.js)
+      config.migrations.forEach((message) => log.warn(message));
+    });
+    scheduleRetention([...tenants.values()], config.retention);
+  });
 //#endregion
@@ -0,0 +1,46 @@
+const { SnapshotBacked } = require('./store');
+
+// how a Room's exposed Visitors get listed (protocol step three):
+//   room    the Room client answers stepTwoServerNotifiesRoom
+//           with stepThreeRoomListsVisitorsForServer
+//   server  the server lists them from the visit graph right away
+//           (so alerts go out even when the Room device is offline)
+const EXPOSURE_MODES = ['room', 'server'];
+
+// per-Room settings, persisted in a store (see store.js)
+class RoomSettings extends SnapshotBacked {
+  constructor(store, defaults = {}) {
+    super(store, 'rooms', 'room settings');
+    this.defaults = { exposureMode: 'room', ...defaults };
+    this.rooms = new Map();
+  }
+
+  get(room) {
+    return { ...this.defaults, ...(this.rooms.get(room) || {}) };
+  }
+
+  // throws if a setting has an unknown value
+  set(room, { exposureMode }) {
+    if (!EXPOSURE_MODES.includes(exposureMode)) {
+      throw new Error(
+        `exposureMode must be one of ${EXPOSURE_MODES.join(', ')}`
+      );
+    }
+    const updated = { ...(this.rooms.get(room) || {}), exposureMode };
+    this.rooms.set(room, updated);
+    this.persist();
+    return this.get(room);
+  }
+
+  list() {
+    return [...this.rooms.keys()].map((room) => ({
+      room: room,
+      ...this.get(room),
+    }));
+  }
+}
+
+module.exports = {
+  EXPOSURE_MODES,
+  RoomSettings,
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('store');
+
+// Stores hold a single JSON snapshot per name (e.g., 'pendings').
+// Both backends share the same interface:
+//   load() resolves to the last saved snapshot (or null)
+//   save(snapshot) resolves once the snapshot is durable
+// so ServerProxy never needs to know where its state lives.
+
+// ms between debounced saves (see SnapshotBacked.schedulePersist())
+const PERSIST_DELAY = 10 * 1000;
+
+// default backend: one JSON file per store in ./data (or STORE_DIR)
+class FileStore {
+  constructor(name, dir) {
+    this.name = name;
+    this.dir = dir || process.env.STORE_DIR || path.join(__dirname, 'data');
+    this.file = path.join(this.dir, `${name}.json`);
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) {
+        return Promise.resolve(null);
+      }
+      return Promise.resolve(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // write synchronously (via a temp file and rename) so a save completes
+  // even if the uncaughtException handler calls process.exit() right after
+  save(snapshot) {
+    try {
+      if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+      fs.renameSync(tmp, this.file);
+      return Promise.resolve(snapshot);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+}
+
+// optional backend: one Redis string key per store (e.g., lct:pendings)
+// every store on one Redis URL shares a client (see clientOf())
+class RedisStore {
+  constructor(name, client, prefix = 'lct') {
+    this.name = name;
+    this.client = client;
+    this.key = `${prefix}:${name}`;
+  }
+
+  load() {
+    return new Promise((resolve, reject) => {
+      this.client.get(this.key, (err, value) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(value ? JSON.parse(value) : null);
+      });
+    });
+  }
+
+  save(snapshot) {
+    return new Promise((resolve, reject) => {
+      this.client.set(this.key, JSON.stringify(snapshot), (err) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(snapshot);
+      });
+    });
+  }
+}
+
+// one Redis client per URL for the whole process (each tenant has several
+// stores, and each would otherwise hold its own connection)
+const clients = new Map();
+
+// while Redis is unreachable, the client reconnects and holds commands
+// until it is back (so a store's load() or save() waits rather than fails)
+function clientOf(url) {
+  if (!clients.has(url)) {
+    const client = require('redis').createClient(url);
+    // without a listener, a lost connection becomes an uncaughtException
+    client.on('error', (err) =>
+      log.error('Redis store error', { error: err.message })
+    );
+    clients.set(url, client);
+  }
+  return clients.get(url);
+}
+
+// A base for state kept in one property, an array or a Map, and saved to
+// a store as {[key]: entries} (e.g., the audit log's {entries: [...]}).
+// Subclasses set the property in their constructor and call persist()
+// after each change (or schedulePersist(), for changes too frequent to save
+// one by one); description names the state in persist() errors.
+// Without a store, the state lives in memory only.
+class SnapshotBacked {
+  constructor(store, key, description) {
+    this.store = store;
+    this.snapshotKey = key;
+    this.description = description;
+    // the pending save, if any (see schedulePersist())
+    this.persistTimer = null;
+  }
+
+  // resolves to how many entries were restored
+  restore() {
+    if (!this.store) {
+      return Promise.resolve(0);
+    }
+    return this.store.load().then((snapshot) => {
+      const key = this.snapshotKey;
+      if (snapshot) {
+        const saved = snapshot[key] || [];
+        this[key] = this[key] instanceof Map ? new Map(saved) : saved;
+        this.restored();
+      }
+      return this[key] instanceof Map ? this[key].size : this[key].length;
+    });
+  }
+
+  // called once a snapshot has been restored (e.g., to drop stale entries)
+  restored() {}
+
+  persist() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    const state = this[this.snapshotKey];
+    return this.store
+      .save({ [this.snapshotKey]: state instanceof Map ? [...state] : state })
+      .catch((err) => {
+        log.error(`Unable to persist ${this.description}`, err);
+      });
+  }
+
+  // persists once PERSIST_DELAY has passed, with whatever changed in the
+  // meantime (a crash loses at most that much)
+  schedulePersist() {
+    if (!this.store || this.persistTimer) {
+      return;
+    }
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, PERSIST_DELAY);
+    // a pending save alone should not keep the process alive
+    this.persistTimer.unref();
+  }
+}
+
+// STORE_BACKEND=redis uses REDIS_URL (or the options passed in)
+// anything else falls back to the file backend
+function createStore(name, options = {}) {
+  const backend = options.backend || process.env.STORE_BACKEND || 'file';
+  if (backend === 'redis') {
+    const client =
+      options.client || clientOf(options.url || process.env.REDIS_URL);
+    return new RedisStore(name, client, options.prefix);
+  }
+  return new FileStore(name, options.dir);
+}
+
+module.exports = {
+  createStore,
+  FileStore,
+  RedisStore,
+  SnapshotBacked,
+};
@@ -0,0 +1,93 @@
+// Tests for Room analytics (analytics.js): occupancy is averaged over
+// time, and lasts until the Room's next change.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { Analytics } = require('../analytics');
+const { test } = require('./harness');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2020, 9, 1, 9);
+const at = (minutes) => T0 + minutes * MINUTE;
+
+const occupancyOf = (rows) =>
+  rows.map((row) => [row.start.slice(11, 16), row.averageOccupancy]);
+
+test('an hour with Visitors but no enter or leave still counts them', () => {
+  const analytics = new Analytics(null, 10000);
+  // 9:30 one Visitor, 9:45 two; 11:15 one, 11:30 none
+  [
+    [30, 1],
+    [45, 2],
+    [135, 1],
+    [150, 0],
+  ].forEach(([minutes, occupancy]) =>
+    analytics.recordOccupancy('Lab', occupancy, at(minutes))
+  );
+  const rows = analytics.series(
+    { room: 'Lab', from: T0, to: T0 + 3 * HOUR },
+    T0 + 3 * HOUR
+  );
+  assert.deepStrictEqual(occupancyOf(rows), [
+    ['09:00', 0.8],
+    ['10:00', 2],
+    ['11:00', 0.8],
+  ]);
+  assert.deepStrictEqual(
+    rows.map((row) => row.peakOccupancy),
+    [2, 2, 2]
+  );
+  const [day] = analytics.series(
+    { room: 'Lab', size: 'day', from: T0, to: T0 + 3 * HOUR },
+    T0 + 15 * HOUR
+  );
+  // 45 + 120 + 45 Visitor-minutes over 24 hours
+  assert.strictEqual(day.averageOccupancy, 0.1);
+});
+
+test('an occupied Room is counted up to now, not just its last change', () => {
+  const analytics = new Analytics(null, 10000);
+  analytics.recordOccupancy('Lab', 3, at(0));
+  const rows = analytics.series(
+    { room: 'Lab', from: T0, to: T0 + 2 * HOUR },
+    at(90)
+  );
+  // the current hour is averaged over the half hour gone so far
+  assert.deepStrictEqual(occupancyOf(rows), [
+    ['09:00', 3],
+    ['10:00', 3],
+  ]);
+});
+
+test('buckets saved before occupancy was time-weighted are converted', () => {
+  const analytics = new Analytics(
+    {
+      load: () =>
+        Promise.resolve({
+          buckets: [
+            [
+              `Lab|${T0}`,
+              {
+                room: 'Lab',
+                start: T0,
+                visits: 1,
+                stayMinutes: 20,
+                longestStay: 20,
+                samples: 4,
+                occupancySum: 6,
+                peakOccupancy: 2,
+              },
+            ],
+          ],
+        }),
+    },
+    1e6
+  );
+  return analytics.restore().then(() => {
+    const [row] = analytics.series({ from: T0, to: T0 + HOUR }, T0 + HOUR);
+    assert.strictEqual(row.averageOccupancy, 1.5);
+    assert.strictEqual(row.averageStay, 20);
+  });
+});
@@ -0,0 +1,55 @@
+// Tests for the audit log (audit.js): refusals must not crowd out
+// the entries admins need.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { AuditLog } = require('../audit');
+const { test } = require('./harness');
+
+const mallory = { id: 'm1', role: 'visitor', name: 'mallory' };
+const admin = { id: 'a1', role: 'admin', name: 'ada' };
+
+test("one caller's refusals of one event share an entry", () => {
+  const audit = new AuditLog(null);
+  for (let i = 0; i < 50; i++) {
+    audit.record('forbidden', mallory, { event: 'openRoom', reason: 'no' });
+  }
+  audit.record('forbidden', mallory, { event: 'closeRoom', reason: 'no' });
+  audit.record('rateLimited', mallory, { event: 'openRoom' });
+  audit.record('forbidden', admin, { event: 'openRoom', reason: 'no' });
+  assert.deepStrictEqual(
+    audit.list().map((entry) => [entry.action, entry.id, entry.count]),
+    [
+      ['forbidden', 'a1', 1],
+      ['rateLimited', 'm1', 1],
+      ['forbidden', 'm1', 1],
+      ['forbidden', 'm1', 50],
+    ]
+  );
+});
+
+test('refusals fall off before admin actions and receipts', () => {
+  const audit = new AuditLog(null, 3);
+  audit.record('forceCloseRoom', admin, { room: 'Lab' });
+  audit.record('eraseMyData', {}, { receiptId: 'r1' });
+  audit.record('dropPending', admin, { queue: 'alerts' });
+  ['openRoom', 'closeRoom', 'alertVisitor'].forEach((event) =>
+    audit.record('forbidden', mallory, { event: event })
+  );
+  assert.deepStrictEqual(
+    audit
+      .list()
+      .map((entry) => entry.event || entry.action)
+      .reverse(),
+    ['forceCloseRoom', 'eraseMyData', 'dropPending', 'alertVisitor']
+  );
+  audit.record('releaseWarning', admin, { reviewId: 'w1' });
+  assert.deepStrictEqual(
+    audit
+      .list()
+      .map((entry) => entry.action)
+      .reverse(),
+    ['forceCloseRoom', 'eraseMyData', 'dropPending', 'releaseWarning']
+  );
+});
@@ -0,0 +1,155 @@
+// Tests for handshake tokens (auth.js) and the permission check every
+// socket event goes through (permissions.js).
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+
+const { Authenticator } = require('../auth');
+const {
+  authorize,
+  guard,
+  OWN_ALERTS,
+  OWN_ROOM,
+  OWN_WARNINGS,
+  ROOM_MANAGER,
+} = require('../permissions');
+const { test } = require('./harness');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const auth = new Authenticator({ secret: 'test secret', maxAgeDays: 2 });
+const identity = { id: 'v1', role: 'visitor', name: 'alice', tenant: 't1' };
+const token = auth.issue(identity);
+
+test('verify returns the identity of a token it issued', () => {
+  assert.deepStrictEqual(
+    { ...auth.verify(token), iat: undefined },
+    { ...identity, iat: undefined }
+  );
+  assert.deepStrictEqual(auth.verifyBearer(`Bearer ${token}`).id, 'v1');
+});
+
+test('verify refuses a forged token', () => {
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(
+    JSON.stringify({ ...identity, role: 'admin', iat: Date.now() })
+  ).toString('base64');
+  assert.strictEqual(auth.verify(`${forged}.${signature}`), null);
+  const other = new Authenticator({ secret: 'another secret' });
+  assert.strictEqual(other.verify(token), null);
+});
+
+test('verify refuses garbled tokens without throwing', () => {
+  const [payload, signature] = token.split('.');
+  // as many characters as the signature, but more bytes
+  const garbled = 'é'.repeat(signature.length);
+  [
+    `${payload}.${garbled}`,
+    `${payload}.`,
+    payload,
+    '.',
+    '',
+    undefined,
+    42,
+    { token: token },
+    `${payload.slice(1)}.${signature}`,
+  ].forEach((bad) => assert.strictEqual(auth.verify(bad), null));
+});
+
+test('verify refuses an expired token, and one from the future', () => {
+  const iat = auth.verify(token).iat;
+  assert.ok(auth.verify(token, iat + 2 * DAY));
+  assert.strictEqual(auth.verify(token, iat + 2 * DAY + 1), null);
+  assert.strictEqual(auth.verify(token, iat - 1), null);
+});
+
+test('authenticate ties a token to its id, role, Room and tenant', () => {
+  const room = auth.issue({
+    id: 'r1',
+    role: 'room',
+    name: 'Lab',
+    tenant: 't1',
+  });
+  assert.ok(auth.authenticate({ id: 'v1', visitor: 'alice', token }, 't1'));
+  assert.deepStrictEqual(auth.authenticate({ id: 'v1', visitor: 'alice' }), {
+    reason: 'Missing token',
+  });
+  assert.deepStrictEqual(
+    auth.authenticate({ id: 'v2', visitor: 'alice', token }),
+    { reason: 'Token is not for this id' }
+  );
+  assert.deepStrictEqual(
+    auth.authenticate({ id: 'v1', admin: 'alice', token }),
+    { reason: 'Token is not for a admin' }
+  );
+  assert.deepStrictEqual(
+    auth.authenticate({ id: 'r1', room: 'Kitchen', token: room }),
+    { reason: 'Token is not for this Room' }
+  );
+  assert.deepStrictEqual(
+    auth.authenticate({ id: 'v1', visitor: 'alice', token }, 't2', 't1'),
+    { reason: 'Token is not for this tenant' }
+  );
+});
+
+test('authorize checks the role, own Room and self', () => {
+  const visitor = { id: 'v1', role: 'visitor' };
+  const room = { id: 'r1', role: 'room', name: 'Lab' };
+  const admin = { id: 'a1', role: 'admin' };
+  assert.strictEqual(authorize(room, OWN_ROOM, { room: 'Lab' }), null);
+  assert.match(authorize(room, OWN_ROOM, { room: 'Kitchen' }), /Room Lab/);
+  assert.match(authorize(admin, OWN_ROOM, { room: 'Lab' }), /admin may not/);
+  assert.strictEqual(authorize(admin, ROOM_MANAGER, { room: 'Lab' }), null);
+  assert.match(authorize(null, ROOM_MANAGER, {}), /unidentified/);
+  assert.strictEqual(authorize(visitor, OWN_ALERTS, 'v1'), null);
+  assert.strictEqual(authorize(visitor, OWN_ALERTS, { visitorId: 'v1' }), null);
+  assert.match(authorize(visitor, OWN_ALERTS, 'v2'), /another Visitor/);
+  assert.strictEqual(
+    authorize(visitor, OWN_WARNINGS, { visitor: { id: 'v1' } }),
+    null
+  );
+  assert.match(authorize(visitor, OWN_WARNINGS, {}), /another Visitor/);
+});
+
+// a socket the test can emit events on, as a client would
+const socketOf = (identity) => {
+  const socket = new EventEmitter();
+  socket.identity = identity;
+  socket.handshake = { query: { ackVersion: '2' } };
+  return socket;
+};
+
+test('guard refuses forbidden calls before the handler', () => {
+  const socket = socketOf({ id: 'r1', role: 'room', name: 'Lab' });
+  const refused = [];
+  const handled = [];
+  const acks = [];
+  guard(socket, (event, reason) => refused.push(reason))(
+    'openRoom',
+    OWN_ROOM,
+    (data, ack) => handled.push(data) && ack('done')
+  );
+  socket.emit('openRoom', { room: 'Kitchen' }, (ack) => acks.push(ack));
+  socket.emit('openRoom', { room: 'Lab' }, (ack) => acks.push(ack));
+  assert.deepStrictEqual(refused, ['Room Lab may not act for Room Kitchen']);
+  assert.deepStrictEqual(handled, [{ room: 'Lab' }]);
+  assert.strictEqual(acks[0].error.code, 'FORBIDDEN');
+  assert.strictEqual(acks[1], 'done');
+});
+
+test('guard refuses malformed payloads, and events without a schema', () => {
+  const socket = socketOf({ id: 'a1', role: 'admin' });
+  const invalid = [];
+  const acks = [];
+  const on = guard(
+    socket,
+    () => {},
+    (event, error) => invalid.push(error.field)
+  );
+  on('openRoom', ROOM_MANAGER, () => assert.fail('handler ran'));
+  socket.emit('openRoom', { room: 42 }, (ack) => acks.push(ack));
+  assert.deepStrictEqual(invalid, ['room']);
+  assert.strictEqual(acks[0].error.code, 'INVALID_PAYLOAD');
+  assert.throws(() => on('noSuchEvent', ROOM_MANAGER, () => {}));
+});
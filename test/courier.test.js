@@ -0,0 +1,115 @@
+// Tests for at-least-once delivery (courier.js), with timeouts of a few
+// milliseconds instead of seconds.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { Courier, DELIVERED, UNDELIVERED } = require('../courier');
+const { test } = require('./harness');
+
+// a proxy whose recipients are sockets that record each emit (and ack
+// only when told to, once the emit has returned, as socket.io does)
+const fakeProxy = () => {
+  const sockets = new Map();
+  return {
+    connect(recipient, acks = () => false) {
+      const socket = {
+        emits: [],
+        emit(event, payload, ack) {
+          this.emits.push(Date.now());
+          if (acks(this.emits.length)) {
+            Promise.resolve().then(ack);
+          }
+        },
+      };
+      sockets.set(recipient, socket);
+      return socket;
+    },
+    disconnect(recipient) {
+      sockets.delete(recipient);
+    },
+    recipientSockets: (recipient) =>
+      sockets.has(recipient) ? [sockets.get(recipient)] : [],
+  };
+};
+
+const settled = (courier, recipient, event, data) =>
+  new Promise((resolve) =>
+    courier.send(recipient, event, data, {
+      onDelivered: resolve,
+      onUndelivered: resolve,
+    })
+  );
+
+test('a recipient that acks at once gets one attempt', () => {
+  const proxy = fakeProxy();
+  const socket = proxy.connect('Lab', () => true);
+  const courier = new Courier(proxy, { ackTimeout: 5 });
+  return settled(courier, 'Lab', 'stepTwoServerNotifiesRoom', {
+    key: 'k1',
+  }).then((message) => {
+    assert.strictEqual(message.state, DELIVERED);
+    assert.strictEqual(socket.emits.length, 1);
+  });
+});
+
+test('retries back off until the recipient acks', () => {
+  const proxy = fakeProxy();
+  const socket = proxy.connect('Lab', (attempt) => attempt == 4);
+  const courier = new Courier(proxy, { ackTimeout: 10, retries: 5 });
+  return settled(courier, 'Lab', 'stepTwoServerNotifiesRoom', {
+    key: 'k1',
+  }).then((message) => {
+    assert.strictEqual(message.state, DELIVERED);
+    assert.strictEqual(message.attempts, 4);
+    const gaps = socket.emits.slice(1).map((at, i) => at - socket.emits[i]);
+    // 10, 20 and 40 ms (timers may fire a little late, never early)
+    [10, 20, 40].forEach((delay, i) => assert.ok(gaps[i] >= delay - 1));
+    assert.ok(gaps[2] > gaps[0]);
+  });
+});
+
+test('retries run out, capped at maxDelay', () => {
+  const proxy = fakeProxy();
+  const socket = proxy.connect('Lab');
+  const courier = new Courier(proxy, {
+    ackTimeout: 5,
+    retries: 2,
+    maxDelay: 8,
+  });
+  return settled(courier, 'Lab', 'stepTwoServerNotifiesRoom', {
+    key: 'k1',
+  }).then((message) => {
+    assert.strictEqual(message.state, UNDELIVERED);
+    assert.strictEqual(socket.emits.length, 3);
+    assert.strictEqual(courier.deliveries[0].retries, 2);
+  });
+});
+
+test('a recipient that disconnects leaves the message undelivered', () => {
+  const proxy = fakeProxy();
+  proxy.connect('v1');
+  const courier = new Courier(proxy, { ackTimeout: 5 });
+  const done = settled(courier, 'v1', 'stepFourServerAlertsVisitor', {
+    key: 'k1',
+  });
+  proxy.disconnect('v1');
+  return done.then((message) => {
+    assert.strictEqual(message.state, UNDELIVERED);
+    assert.strictEqual(message.attempts, 1);
+  });
+});
+
+test('the next protocol step acknowledges the message for its key', () => {
+  const proxy = fakeProxy();
+  proxy.connect('Lab');
+  const courier = new Courier(proxy, { ackTimeout: 1000 });
+  const event = 'stepTwoServerNotifiesRoom';
+  const first = courier.send('Lab', event, { key: 'k1' });
+  const second = courier.send('Lab', event, { key: 'k2' });
+  courier.acknowledge({ recipient: 'Lab', events: [event], key: 'k1' });
+  assert.strictEqual(first.state, DELIVERED);
+  assert.notStrictEqual(second.state, DELIVERED);
+  courier.acknowledge({ recipient: 'Lab', events: [event] });
+  assert.strictEqual(second.state, DELIVERED);
+});
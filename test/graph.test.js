@@ -0,0 +1,253 @@
+// Tests for the in-process graph (graph.js), through VisitLog (visits.js),
+// so a change to either side that the other cannot follow shows up here
+// rather than in a Room's exposure list.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { createGraph, MemoryVisitGraph } = require('../graph');
+const { checkVisitTimes, VisitLog } = require('../visits');
+const { test } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2020, 9, 1, 9);
+
+// a VisitLog over a fresh in-process graph, with a few logged visits:
+//   alice in room1  9:00-10:00 and 12:00-13:00
+//   bob   in room1  9:30-11:00
+//   bob   in room2 14:00-15:00
+const seeded = () => {
+  const visitLog = new VisitLog(new MemoryVisitGraph('test'));
+  return Promise.all(
+    [
+      ['alice', 'room1', 0, 1],
+      ['alice', 'room1', 3, 4],
+      ['bob', 'room1', 0.5, 2],
+      ['bob', 'room2', 5, 6],
+    ].map(([visitor, room, from, to]) =>
+      visitLog.logVisit({
+        visitor: visitor,
+        room: room,
+        checkIn: T0 + from * HOUR,
+        checkOut: T0 + to * HOUR,
+      })
+    )
+  ).then(() => visitLog);
+};
+
+test('createGraph refuses to start without a backend', () => {
+  assert.throws(() => createGraph({ name: 'test' }), /No visit graph/);
+  assert.throws(
+    () => createGraph({ name: 'test', backend: 'mongo' }),
+    /Unknown graph backend mongo/
+  );
+  assert.ok(
+    createGraph({ name: 'test', backend: 'memory' }) instanceof MemoryVisitGraph
+  );
+});
+
+test('logVisit updates a visit with the same checkIn in place', () => {
+  const visitLog = new VisitLog(new MemoryVisitGraph('test'));
+  const visit = {
+    visitor: 'alice',
+    room: 'room1',
+    checkIn: new Date(T0).toISOString(),
+    checkOut: T0 + HOUR,
+  };
+  return visitLog
+    .logVisit(visit)
+    .then((logged) => {
+      assert.strictEqual(logged.checkIn, T0);
+      return visitLog.logVisit({ ...visit, checkOut: T0 + 2 * HOUR });
+    })
+    .then(() => visitLog.visitsOf('alice'))
+    .then((visits) => {
+      assert.deepStrictEqual(visits, [
+        {
+          room: 'room1',
+          checkIn: T0,
+          checkOut: T0 + 2 * HOUR,
+          exit: 'reported',
+        },
+      ]);
+    });
+});
+
+test('visitsBetween finds the visits overlapping the window', () =>
+  seeded()
+    .then((visitLog) =>
+      visitLog.visitsBetween('room1', T0 + 0.75 * HOUR, T0 + 1.5 * HOUR)
+    )
+    .then((visits) => {
+      assert.deepStrictEqual(visits.map((v) => v.visitor).sort(), [
+        'alice',
+        'bob',
+      ]);
+    }));
+
+test('visits orders by checkIn, optionally in one Room', () =>
+  seeded().then((visitLog) =>
+    Promise.all([
+      visitLog.visits({ from: T0, to: T0 + 10 * HOUR }),
+      visitLog.visits({ from: T0, to: T0 + 10 * HOUR, room: 'room2' }),
+    ]).then(([all, room2]) => {
+      assert.deepStrictEqual(
+        all.map((v) => v.checkIn),
+        [0, 0.5, 3, 5].map((hours) => T0 + hours * HOUR)
+      );
+      assert.deepStrictEqual(room2, [
+        {
+          visitor: 'bob',
+          room: 'room2',
+          checkIn: T0 + 5 * HOUR,
+          checkOut: T0 + 6 * HOUR,
+          exit: 'reported',
+        },
+      ]);
+    })
+  ));
+
+test('visits in progress come last', () =>
+  seeded().then((visitLog) => {
+    visitLog.checkIn('carol', 'room2', T0 + 7 * HOUR);
+    return visitLog.visits({ from: T0, to: T0 + 10 * HOUR }).then((all) => {
+      assert.deepStrictEqual(all[all.length - 1], {
+        visitor: 'carol',
+        room: 'room2',
+        checkIn: T0 + 7 * HOUR,
+        checkOut: null,
+        exit: 'open',
+      });
+    });
+  }));
+
+test('findExposures weighs overlap against the warning Visitor', () =>
+  seeded()
+    .then((visitLog) =>
+      visitLog.findExposures('alice', 'room1', new Date(T0).toISOString())
+    )
+    .then((exposures) => {
+      assert.strictEqual(exposures.length, 1);
+      assert.strictEqual(exposures[0].id, 'bob');
+      // bob's 9:30-11:00 against alice's 9:00-10:00
+      assert.strictEqual(exposures[0].overlap, 0.5 * HOUR);
+      assert.strictEqual(exposures[0].occupancy, 2);
+    }));
+
+test('roomsVisited lists each Room the server saw the Visitor in, once', () =>
+  seeded()
+    .then((visitLog) => {
+      // as if alice and bob had entered room1 through the server
+      // (carol is in room2 now)
+      visitLog.checkIn('carol', 'room2', T0 + 7 * HOUR);
+      return Promise.all(
+        [
+          ['alice', 'room1', 0, 1],
+          ['alice', 'room1', 3, 4],
+          ['bob', 'room1', 0.5, 2],
+        ].map(([visitor, room, from, to]) =>
+          visitLog.logVisit({
+            visitor: visitor,
+            room: room,
+            checkIn: T0 + from * HOUR,
+            checkOut: T0 + to * HOUR,
+            exit: 'left',
+          })
+        )
+      ).then(() =>
+        Promise.all(
+          ['alice', 'bob', 'carol', 'dave'].map((visitor) =>
+            visitLog.roomsVisited(visitor)
+          )
+        )
+      );
+    })
+    .then(([alice, bob, carol, dave]) => {
+      assert.deepStrictEqual(alice, ['room1']);
+      // bob only reported room2
+      assert.deepStrictEqual(bob, ['room1']);
+      assert.deepStrictEqual(carol, ['room2']);
+      assert.deepStrictEqual(dave, []);
+    }));
+
+test("a reported visit never overwrites the server's own record", () => {
+  const visitLog = new VisitLog(new MemoryVisitGraph('test'));
+  const visit = {
+    visitor: 'alice',
+    room: 'room1',
+    checkIn: T0,
+    checkOut: T0 + HOUR,
+  };
+  return visitLog
+    .logVisit({ ...visit, exit: 'left' })
+    .then(() => visitLog.logVisit({ ...visit, checkOut: T0 + 5 * HOUR }))
+    .then((logged) => {
+      assert.strictEqual(logged.exit, 'left');
+      return visitLog.visitsOf('alice');
+    })
+    .then((visits) => {
+      assert.deepStrictEqual(visits, [
+        { room: 'room1', checkIn: T0, checkOut: T0 + HOUR, exit: 'left' },
+      ]);
+    });
+});
+
+test('erase deletes the Visitor and their visits', () =>
+  seeded().then((visitLog) => {
+    visitLog.checkIn('alice', 'room2', T0 + 7 * HOUR);
+    return visitLog
+      .erase('alice')
+      .then((deleted) => {
+        assert.strictEqual(deleted, 3);
+        return Promise.all([
+          visitLog.visitsOf('alice'),
+          visitLog.visits({ from: 0, to: T0 + 10 * HOUR }),
+        ]);
+      })
+      .then(([visits, all]) => {
+        assert.deepStrictEqual(visits, []);
+        assert.deepStrictEqual(
+          [...new Set(all.map((v) => v.visitor))],
+          ['bob']
+        );
+      });
+  }));
+
+test('purge deletes ended visits, then Visitors left with none', () =>
+  seeded().then((visitLog) =>
+    visitLog
+      .purge(T0 + 4.5 * HOUR)
+      .then((deleted) => {
+        // alice's two visits and bob's room1 visit; alice goes too
+        assert.deepStrictEqual(deleted, { visits: 3, visitorNodes: 1 });
+        return visitLog.visits({ from: 0, to: T0 + 10 * HOUR });
+      })
+      .then((visits) => {
+        assert.deepStrictEqual(
+          visits.map((v) => `${v.visitor} ${v.room}`),
+          ['bob room2']
+        );
+      })
+  ));
+
+test('checkVisitTimes refuses visits from the future or past retention', () => {
+  const visit = (from, to) => ({
+    checkIn: T0 + from * HOUR,
+    checkOut: new Date(T0 + to * HOUR).toISOString(),
+  });
+  assert.strictEqual(checkVisitTimes(visit(-1, 0), 14, T0), null);
+  // a client's clock a minute ahead
+  assert.strictEqual(checkVisitTimes(visit(-1, 1 / 60), 14, T0), null);
+  assert.strictEqual(checkVisitTimes(visit(-1, 1), 14, T0).field, 'checkOut');
+  assert.strictEqual(
+    checkVisitTimes(visit(-15 * 24, 0), 14, T0).field,
+    'checkIn'
+  );
+});
+
+test('countRooms answers the health check', () =>
+  seeded()
+    .then((visitLog) => visitLog.graph.countRooms())
+    .then((rooms) => {
+      assert.strictEqual(rooms, 2);
+    }));
@@ -0,0 +1,42 @@
+// A small test runner on node's assert (the server has no test framework):
+// test(name, fn) adds a test, and the tests added while the test files
+// load then run one at a time, in order. fn may return a promise.
+// Any failure makes the process exit non-zero.
+// Run one file with node test/<name>.test.js, or all of them with npm test.
+
+const tests = [];
+
+function test(name, fn) {
+  if (!tests.length) {
+    setImmediate(run);
+  }
+  tests.push({ name, fn });
+}
+
+function run() {
+  return tests
+    .reduce(
+      (previous, { name, fn }) =>
+        previous.then((failures) =>
+          Promise.resolve()
+            .then(fn)
+            .then(() => {
+              console.log(`ok - ${name}`);
+              return failures;
+            })
+            .catch((err) => {
+              console.log(`not ok - ${name}\n  ${err.stack}`);
+              return failures + 1;
+            })
+        ),
+      Promise.resolve(0)
+    )
+    .then((failures) => {
+      console.log(`${tests.length - failures}/${tests.length} passed`);
+      process.exitCode = failures ? 1 : 0;
+    });
+}
+
+module.exports = {
+  test,
+};
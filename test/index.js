@@ -0,0 +1,9 @@
+// npm test: loads every test file here, then the harness runs their tests
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+
+fs.readdirSync(__dirname)
+  .filter((file) => file.endsWith('.test.js'))
+  .sort()
+  .forEach((file) => require(`./${file}`));
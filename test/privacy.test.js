@@ -0,0 +1,175 @@
+// Tests for a Visitor's erasure request (privacy.js): everything that names
+// the Visitor goes, other Visitors' data stays, and a receipt is left.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { AuditLog } = require('../audit');
+const { CaseRegistry } = require('../cases');
+const { MemoryVisitGraph } = require('../graph');
+const { eraseVisitorData, exportVisitorData } = require('../privacy');
+const { ServerProxy } = require('../radar');
+const { ReviewQueue } = require('../review');
+const { VisitLog } = require('../visits');
+const { test } = require('./harness');
+
+const T0 = Date.UTC(2020, 9, 1, 9);
+const HOUR = 60 * 60 * 1000;
+
+// the parts of a tenant (see createTenant in server.js) privacy.js uses,
+// in memory only (no socket is ever connected)
+const tenantOf = (graph = new MemoryVisitGraph('test')) => {
+  const cases = new CaseRegistry(null);
+  const io = {
+    of: () => ({
+      adapter: { nsp: { sockets: {} }, rooms: {} },
+      to: () => ({ emit: () => {} }),
+    }),
+  };
+  return {
+    name: 'test',
+    visitLog: new VisitLog(graph),
+    cases: cases,
+    S: new ServerProxy(io, null, cases),
+    audit: new AuditLog(null),
+    review: new ReviewQueue(null),
+  };
+};
+
+const warning = (visitor, room, caseId) => ({
+  visitor: { id: visitor, visitor: visitor.toUpperCase() },
+  room: room,
+  exposureDates: ['2020-10-01'],
+  caseId: caseId,
+});
+
+// v1 warned Lab and Gym (the Gym warning is held for review), and Lab
+// listed v2, who has an alert pending; v2 warned the Pool, which listed v1
+const seeded = () => {
+  const tenant = tenantOf();
+  const { S, cases, review, audit, visitLog } = tenant;
+  const warned = cases.open({
+    visitor: { id: 'v1' },
+    warnings: new Map([
+      ['Lab', ['2020-10-01']],
+      ['Gym', ['2020-10-01']],
+    ]),
+  });
+  const other = cases.open({
+    visitor: { id: 'v2' },
+    warnings: new Map([['Pool', ['2020-10-01']]]),
+  });
+  S.setPendingVisitorWarning(warning('v1', 'Lab', warned.caseId));
+  review.hold(
+    'stepOneVisitorWarnsRooms',
+    warning('v1', 'Gym', warned.caseId),
+    []
+  );
+  S.setPendingVisitorWarning(warning('v2', 'Pool', other.caseId));
+  cases.roomListed(warned.caseId, 'Lab', [{ id: 'v2' }]);
+  cases.visitorAlerted(warned.caseId, 'v2', 'Lab', 'k2', 1);
+  cases.roomListed(other.caseId, 'Pool', [{ id: 'v1' }]);
+  cases.visitorAlerted(other.caseId, 'v1', 'Pool', 'k1', 1);
+  S.setPendingRoomAlerts({
+    visitorId: 'v1',
+    room: 'Pool',
+    caseIds: [other.caseId],
+  });
+  S.setPendingRoomAlerts({
+    visitorId: 'v2',
+    room: 'Lab',
+    caseIds: [warned.caseId],
+  });
+  // sent while v1 and the Lab were offline, so settled as undelivered
+  S.courier.send('v1', 'stepFourServerAlertsVisitor', { key: 'k1' });
+  S.courier.send('Lab', 'stepTwoServerNotifiesRoom', { key: 'v1|Lab|x' });
+  S.courier.send('v2', 'stepFourServerAlertsVisitor', { key: 'k2' });
+  audit.record('forbidden', { id: 'v1', name: 'V1' }, { event: 'openRoom' });
+  audit.record('forbidden', { id: 'v2', name: 'V2' }, { event: 'openRoom' });
+  return Promise.all(
+    [
+      ['v1', 'Lab', 0],
+      ['v1', 'Pool', 2],
+      ['v2', 'Lab', 0],
+    ].map(([visitor, room, from]) =>
+      visitLog.logVisit({
+        visitor: visitor,
+        room: room,
+        checkIn: T0 + from * HOUR,
+        checkOut: T0 + (from + 1) * HOUR,
+      })
+    )
+  ).then(() => ({ tenant, warned, other }));
+};
+
+test('eraseVisitorData removes the Visitor and leaves a receipt', () =>
+  seeded()
+    .then(({ tenant, warned, other }) => {
+      const { S, cases, review, audit } = tenant;
+      return eraseVisitorData(tenant, 'v1').then((receipt) => {
+        assert.deepStrictEqual(receipt.erased, {
+          visits: 2,
+          pendingAlerts: 1,
+          pendingWarnings: 1,
+          heldWarnings: 1,
+          cases: 2,
+          deliveries: 2,
+          audit: 1,
+        });
+        assert.strictEqual(S.pendingVisitorWarnings.has('Lab'), false);
+        assert.strictEqual(S.pendingRoomAlerts.has('v1'), false);
+        assert.deepStrictEqual(review.list(), []);
+        // the case v1 warned with keeps its Rooms, but stops waiting on them
+        const ownCase = cases.get(warned.caseId);
+        assert.strictEqual(ownCase.visitor, null);
+        assert.strictEqual(ownCase.rooms.Gym.review, 'withdrawn');
+        assert.deepStrictEqual(cases.awaitingRoom('Gym'), []);
+        assert.deepStrictEqual(ownCase.rooms.Lab.exposedVisitors, ['v2']);
+        const otherCase = cases.get(other.caseId);
+        assert.deepStrictEqual(Object.keys(otherCase.visitors), []);
+        assert.deepStrictEqual(otherCase.rooms.Pool.exposedVisitors, []);
+        assert.deepStrictEqual(
+          S.courier.deliveries.map((message) => message.recipient),
+          ['v2']
+        );
+        const [entry, scrubbed, kept] = audit.list();
+        // the receipt names no one
+        assert.deepStrictEqual(
+          [entry.action, entry.id, entry.name, entry.receiptId, entry.erased],
+          ['eraseMyData', null, null, receipt.receiptId, receipt.erased]
+        );
+        assert.strictEqual(scrubbed.id, 'v2');
+        assert.deepStrictEqual(
+          [kept.id, kept.name, kept.erased],
+          [null, null, true]
+        );
+        return exportVisitorData(tenant, 'v1');
+      });
+    })
+    .then((data) => {
+      assert.deepStrictEqual(
+        [
+          data.visits,
+          data.pendingAlerts,
+          data.pendingWarnings,
+          data.heldWarnings,
+          data.cases,
+        ],
+        [[], [], [], [], []]
+      );
+    }));
+
+test('eraseVisitorData erases nothing when the graph cannot be reached', () =>
+  seeded().then(({ tenant }) => {
+    tenant.visitLog.graph.erase = () =>
+      Promise.reject(new Error('connection refused'));
+    return eraseVisitorData(tenant, 'v1').then(
+      () => assert.fail('erased without the graph'),
+      (err) => {
+        assert.match(err.message, /connection refused/);
+        assert.strictEqual(tenant.S.pendingRoomAlerts.has('v1'), true);
+        assert.strictEqual(tenant.review.list().length, 1);
+        assert.strictEqual(tenant.audit.list()[1].id, 'v1');
+      }
+    );
+  }));
@@ -0,0 +1,129 @@
+// Tests for the pending queues in ServerProxy (radar.js): one queue per
+// Room (warnings) and per Visitor (alerts), keyed so a retry never queues
+// the same item twice, and delivered only to their own Room or Visitor.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { ServerProxy } = require('../radar');
+const { test } = require('./harness');
+
+// just enough of a socket.io server for ServerProxy
+const fakeIo = (sockets = {}) => ({
+  of: () => ({
+    adapter: { nsp: { sockets: sockets }, rooms: {} },
+    to: () => ({ emit: () => {} }),
+  }),
+});
+
+const warning = (visitor, room, exposureDates, caseId) => ({
+  visitor: { id: visitor, visitor: visitor.toUpperCase() },
+  room: room,
+  exposureDates: exposureDates,
+  caseId: caseId,
+});
+
+test('the same warning is queued once per Room', () => {
+  const S = new ServerProxy(fakeIo());
+  const first = S.setPendingVisitorWarning(
+    warning('v1', 'Lab', ['2020-10-01'])
+  );
+  const again = S.setPendingVisitorWarning(
+    warning('v1', 'Lab', ['2020-10-01'])
+  );
+  S.setPendingVisitorWarning(warning('v1', 'Lab', ['2020-10-02']));
+  S.setPendingVisitorWarning(warning('v1', 'Gym', ['2020-10-01']));
+  assert.strictEqual(again, first);
+  assert.strictEqual(first.key, 'v1|Lab|["2020-10-01"]');
+  assert.strictEqual(S.pendingVisitorWarnings.get('Lab').length, 2);
+  assert.strictEqual(S.pendingCount(S.pendingVisitorWarnings), 3);
+});
+
+test('an alert queued again answers every case that sent it', () => {
+  const S = new ServerProxy(fakeIo());
+  const alert = { visitorId: 'v2', room: 'Lab', exposureDates: null };
+  S.setPendingRoomAlerts({ ...alert, caseIds: ['c1'] });
+  const item = S.setPendingRoomAlerts({ ...alert, caseIds: ['c2', 'c1'] });
+  assert.deepStrictEqual(item.caseIds, ['c1', 'c2']);
+  assert.strictEqual(S.pendingRoomAlerts.get('v2').length, 1);
+});
+
+test('an ack removes only the items it names', () => {
+  const S = new ServerProxy(fakeIo());
+  const a = S.setPendingVisitorWarning(warning('v1', 'Lab', ['2020-10-01']));
+  S.setPendingVisitorWarning(warning('v1', 'Lab', ['2020-10-02']));
+  S.setPendingVisitorWarning(warning('v3', 'Lab', ['2020-10-01']));
+  const pendingKeys = () =>
+    (S.pendingVisitorWarnings.get('Lab') || []).map((item) => item.key);
+
+  // by key
+  assert.deepStrictEqual(
+    S.deletePendingVisitorWarning('Lab', 'test', { keys: [a.key] }),
+    [a]
+  );
+  // by visitor and exposure dates
+  S.deletePendingVisitorWarning('Lab', 'test', {
+    visitor: { id: 'v1' },
+    exposureDates: ['2020-10-03'],
+  });
+  assert.strictEqual(pendingKeys().length, 2);
+  S.deletePendingVisitorWarning('Lab', 'test', {
+    visitor: 'v1',
+    exposureDates: ['2020-10-02'],
+  });
+  assert.deepStrictEqual(pendingKeys(), ['v3|Lab|["2020-10-01"]']);
+  // a legacy ack (none) takes only what was delivered
+  assert.deepStrictEqual(S.deletePendingVisitorWarning('Lab', 'test'), []);
+  S.pendingVisitorWarnings.get('Lab')[0].deliveredAt = '2020-10-01T10:00:00Z';
+  assert.strictEqual(S.deletePendingVisitorWarning('Lab', 'test').length, 1);
+  assert.strictEqual(S.pendingVisitorWarnings.has('Lab'), false);
+});
+
+// a connected socket that acks everything it is sent (as socket.io
+// does, once the emit has returned)
+const fakeSocket = (id, query) => ({
+  connected: true,
+  client: { id: id },
+  handshake: { query: { id: id, ...query } },
+  rooms: {},
+  received: [],
+  emit(event, payload, ack) {
+    this.received.push([event, payload.key]);
+    if (ack) {
+      Promise.resolve().then(ack);
+    }
+  },
+});
+
+test('a connecting Room gets only its own pending warnings', () => {
+  const lab = fakeSocket('lab1', { room: 'Lab' });
+  const gym = fakeSocket('gym1', { room: 'Gym' });
+  const S = new ServerProxy(fakeIo({ lab1: lab, gym1: gym }));
+  S.setPendingVisitorWarning(warning('v1', 'Lab', ['2020-10-01']));
+  S.setPendingVisitorWarning(warning('v2', 'Lab', ['2020-10-01']));
+  S.setPendingVisitorWarning(warning('v1', 'Gym', ['2020-10-01']));
+  S.handlePendings(lab.handshake.query);
+  assert.deepStrictEqual(lab.received, [
+    ['stepTwoServerNotifiesRoom', 'v1|Lab|["2020-10-01"]'],
+    ['stepTwoServerNotifiesRoom', 'v2|Lab|["2020-10-01"]'],
+  ]);
+  assert.deepStrictEqual(gym.received, []);
+  return Promise.resolve().then(() => {
+    // delivered, but queued until the Room answers with step three
+    assert.ok(S.pendingVisitorWarnings.get('Lab').every((w) => w.deliveredAt));
+    assert.ok(!S.pendingVisitorWarnings.get('Gym')[0].deliveredAt);
+  });
+});
+
+test('a connecting Visitor gets only their own pending alerts', () => {
+  const v1 = fakeSocket('v1', { visitor: 'V1' });
+  const v2 = fakeSocket('v2', { visitor: 'V2' });
+  const S = new ServerProxy(fakeIo({ v1: v1, v2: v2 }));
+  S.setPendingRoomAlerts({ visitorId: 'v1', room: 'Lab' });
+  S.setPendingRoomAlerts({ visitorId: 'v2', room: 'Lab' });
+  S.handlePendings(v1.handshake.query);
+  assert.deepStrictEqual(v1.received, [
+    ['stepFourServerAlertsVisitor', 'v1|Lab|null'],
+  ]);
+  assert.deepStrictEqual(v2.received, []);
+});
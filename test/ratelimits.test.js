@@ -0,0 +1,72 @@
+// Tests for the per-caller rate limits (ratelimits.js).
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { RateLimiter } = require('../ratelimits');
+const { test } = require('./harness');
+
+const T0 = Date.UTC(2020, 9, 1, 9);
+
+// takes n calls, returns the refusals
+const takeMany = (limiter, n, group, identity, address, now) =>
+  Array.from({ length: n }, () =>
+    limiter.take(group, identity, address, now)
+  ).filter((refused) => refused);
+
+test('take refuses an identity over its limit until its window ends', () => {
+  const limiter = new RateLimiter({ warnings: { identity: 2 } });
+  assert.deepStrictEqual(takeMany(limiter, 2, 'warnings', 'v1', 'a', T0), []);
+  assert.deepStrictEqual(limiter.take('warnings', 'v1', 'a', T0 + 1000), {
+    group: 'warnings',
+    scope: 'identity',
+    limit: 2,
+    windowSeconds: 3600,
+    retryAfter: 3599,
+  });
+  // others behind the same address are not held back
+  assert.strictEqual(limiter.take('warnings', 'v2', 'a', T0 + 1000), null);
+  // nor is the same identity in another group
+  assert.strictEqual(limiter.take('alerts', 'v1', 'a', T0 + 1000), null);
+  assert.strictEqual(
+    limiter.take('warnings', 'v1', 'a', T0 + 3600 * 1000),
+    null
+  );
+});
+
+test('take refuses an address over its limit, whoever calls', () => {
+  const limiter = new RateLimiter({ alerts: { address: 3 } });
+  ['r1', 'r2', 'r3'].forEach((identity) =>
+    assert.strictEqual(limiter.take('alerts', identity, 'a', T0), null)
+  );
+  const refused = limiter.take('alerts', 'r4', 'a', T0 + 30 * 1000);
+  assert.strictEqual(refused.scope, 'address');
+  assert.strictEqual(refused.retryAfter, 30);
+  assert.strictEqual(limiter.take('alerts', 'r4', 'b', T0), null);
+});
+
+test('refused calls do not count against the caller', () => {
+  const limiter = new RateLimiter({ alerts: { identity: 1, address: 2 } });
+  assert.strictEqual(limiter.take('alerts', 'r1', 'a', T0), null);
+  assert.strictEqual(takeMany(limiter, 5, 'alerts', 'r1', 'a', T0).length, 5);
+  // the address has still only seen one call go ahead
+  assert.strictEqual(limiter.take('alerts', 'r2', 'a', T0), null);
+});
+
+test('take limits onboarding by address only', () => {
+  const limiter = new RateLimiter({ onboard: { address: 1 } });
+  assert.strictEqual(limiter.take('onboard', null, 'a', T0), null);
+  assert.strictEqual(limiter.take('onboard', null, 'a', T0).scope, 'address');
+  assert.throws(() => limiter.take('noSuchGroup', 'v1', 'a'), /No rate limit/);
+});
+
+test('prune drops only the windows that have ended', () => {
+  const limiter = new RateLimiter();
+  limiter.take('alerts', 'r1', 'a', T0);
+  limiter.take('warnings', 'v1', 'a', T0);
+  limiter.prune(T0 + 60 * 1000);
+  assert.deepStrictEqual(
+    [...limiter.windows.keys()],
+    ['warnings|identity|v1', 'warnings|address|a']
+  );
+});
@@ -0,0 +1,78 @@
+// Tests for the CSV exports (reports.js): visits are written a page at a
+// time, and pseudonyms come from the export key, not the token secret.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+const { PassThrough } = require('stream');
+
+const { MemoryVisitGraph } = require('../graph');
+const {
+  exportKeyOf,
+  pseudonymizer,
+  VISIT_COLUMNS,
+  visitRows,
+  writeCsv,
+} = require('../reports');
+const { VisitLog } = require('../visits');
+const { test } = require('./harness');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2020, 9, 1, 9);
+
+// writes the rows and resolves to the CSV's lines
+const csvOf = (rows, columns) => {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', (chunk) => chunks.push(chunk));
+  return writeCsv(rows, columns, out).then(() =>
+    Buffer.concat(chunks).toString().trim().split('\n')
+  );
+};
+
+test('a visits export pages through the graph, visits in progress last', () => {
+  const visitLog = new VisitLog(new MemoryVisitGraph('test'));
+  const logged = [];
+  for (let i = 0; i < 1200; i++) {
+    logged.push(
+      visitLog.logVisit({
+        visitor: `v${i}`,
+        room: 'Lab',
+        checkIn: T0 + i * MINUTE,
+        checkOut: T0 + (i + 5) * MINUTE,
+      })
+    );
+  }
+  visitLog.checkIn('late', 'Lab', T0 + 2000 * MINUTE);
+  const pages = [];
+  return Promise.all(logged)
+    .then(() => {
+      const find = visitLog.graph.find.bind(visitLog.graph);
+      visitLog.graph.find = (options) => {
+        pages.push(options.limit);
+        return find(options);
+      };
+    })
+    .then(() =>
+      csvOf(
+        visitRows(visitLog, { from: T0, to: T0 + 3000 * MINUTE }),
+        VISIT_COLUMNS
+      )
+    )
+    .then((lines) => {
+      assert.deepStrictEqual(pages, [500, 500, 500]);
+      assert.strictEqual(lines.length, 1 + 1200 + 1);
+      assert.strictEqual(lines[0], VISIT_COLUMNS.join(','));
+      assert.match(lines[1], /^v0,Lab,2020-10-01T09:00:00.000Z,.*,5,reported$/);
+      assert.match(lines[1200], /^v1199,Lab,/);
+      assert.match(lines[1201], /^late,Lab,.*,,,open$/);
+    });
+});
+
+test('pseudonyms come from a key derived from the token secret', () => {
+  const secret = 'token secret';
+  const key = exportKeyOf(secret);
+  const pseudonymOf = pseudonymizer(key);
+  assert.strictEqual(pseudonymOf('alice'), pseudonymOf('alice'));
+  assert.notStrictEqual(pseudonymOf('alice'), pseudonymOf('bob'));
+  assert.notStrictEqual(pseudonymOf('alice'), pseudonymizer(secret)('alice'));
+});
@@ -0,0 +1,154 @@
+// Tests for the retention job's purge of one tenant (retention.js): what
+// falls outside the window goes, whatever else the tenant holds stays.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { AuditLog } = require('../audit');
+const { CaseRegistry } = require('../cases');
+const { MemoryVisitGraph } = require('../graph');
+const { ServerProxy } = require('../radar');
+const { purgeTenant } = require('../retention');
+const { ReviewQueue } = require('../review');
+const { VisitLog } = require('../visits');
+const { test } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+// with 14 days' retention, the cutoff is 2020-10-06 12:00
+const NOW = Date.UTC(2020, 9, 20, 12);
+const OLD = '2020-10-01';
+const RECENT = '2020-10-15';
+const OLD_AT = new Date(Date.UTC(2020, 9, 1)).toISOString();
+
+// the parts of a tenant (see createTenant in server.js) purgeTenant uses,
+// in memory only
+const tenantOf = (graph = new MemoryVisitGraph('test')) => {
+  const cases = new CaseRegistry(null);
+  const io = {
+    of: () => ({
+      adapter: { nsp: { sockets: {} }, rooms: {} },
+      to: () => ({ emit: () => {} }),
+    }),
+  };
+  return {
+    name: 'test',
+    visitLog: new VisitLog(graph),
+    cases: cases,
+    S: new ServerProxy(io, null, cases),
+    audit: new AuditLog(null),
+    review: new ReviewQueue(null),
+  };
+};
+
+const warning = (visitor, room, exposureDates) => ({
+  visitor: { id: visitor, visitor: visitor.toUpperCase() },
+  room: room,
+  exposureDates: exposureDates,
+});
+
+test('purgeTenant drops what ended before the cutoff, and only that', () => {
+  const tenant = tenantOf();
+  const { S, cases, review, audit, visitLog } = tenant;
+  S.setPendingVisitorWarning(warning('v1', 'Lab', [OLD]));
+  S.setPendingVisitorWarning(warning('v1', 'Gym', [OLD, RECENT]));
+  review.hold('stepOneVisitorWarnsRooms', warning('v1', 'Pool', OLD), []);
+  review.hold('stepOneVisitorWarnsRooms', warning('v1', 'Gym', RECENT), []);
+  // an old case, whose exposure dates date the alert it sent
+  const old = cases.open({
+    visitor: { id: 'v1' },
+    warnings: new Map([['Lab', [OLD]]]),
+  });
+  old.openedAt = OLD_AT;
+  cases.open({ visitor: { id: 'v1' }, warnings: new Map([['Gym', RECENT]]) });
+  S.setPendingRoomAlerts({
+    visitorId: 'v2',
+    room: 'Lab',
+    caseIds: [old.caseId],
+  });
+  S.setPendingRoomAlerts({
+    visitorId: 'v2',
+    room: 'Gym',
+    exposureDates: [RECENT],
+  });
+  audit.record('forbidden', { id: 'v1' }, { event: 'openRoom' }).at = OLD_AT;
+  audit.record('eraseMyData', { role: 'visitor' }, { receiptId: 'r1' }).at =
+    OLD_AT;
+  audit.record('forbidden', { id: 'v3' }, { event: 'closeRoom' });
+  return Promise.all([
+    visitLog.logVisit({
+      visitor: 'v1',
+      room: 'Lab',
+      checkIn: Date.UTC(2020, 9, 1, 9),
+      checkOut: Date.UTC(2020, 9, 1, 10),
+    }),
+    visitLog.logVisit({
+      visitor: 'v2',
+      room: 'Lab',
+      checkIn: Date.UTC(2020, 9, 1, 9),
+      checkOut: Date.UTC(2020, 9, 1, 10),
+    }),
+    visitLog.logVisit({
+      visitor: 'v2',
+      room: 'Gym',
+      checkIn: Date.UTC(2020, 9, 15, 9),
+      checkOut: Date.UTC(2020, 9, 15, 10),
+    }),
+  ])
+    .then(() => purgeTenant(tenant, { retentionDays: 14, now: NOW }))
+    .then((summary) => {
+      assert.deepStrictEqual(summary, {
+        at: new Date(NOW).toISOString(),
+        tenant: 'test',
+        cutoff: new Date(NOW - 14 * 24 * HOUR).toISOString(),
+        retentionDays: 14,
+        purged: {
+          visits: 2,
+          visitorNodes: 1,
+          warnings: 1,
+          held: 1,
+          alerts: 1,
+          cases: 1,
+          deliveries: 0,
+          audit: 1,
+        },
+        failed: [],
+      });
+      assert.deepStrictEqual([...S.pendingVisitorWarnings.keys()], ['Gym']);
+      assert.deepStrictEqual(
+        review.list().map((held) => held.room),
+        ['Gym']
+      );
+      assert.deepStrictEqual(
+        S.pendingRoomAlerts.get('v2').map((alert) => alert.room),
+        ['Gym']
+      );
+      assert.strictEqual(cases.list().length, 1);
+      // receipts outlive the window
+      assert.deepStrictEqual(
+        audit.list().map((entry) => entry.action),
+        ['forbidden', 'eraseMyData']
+      );
+      return visitLog.visits({ from: 0, to: NOW });
+    })
+    .then((visits) => {
+      assert.deepStrictEqual(
+        visits.map((v) => `${v.visitor} ${v.room}`),
+        ['v2 Gym']
+      );
+    });
+});
+
+test('purgeTenant purges the rest when the graph cannot be reached', () => {
+  const graph = new MemoryVisitGraph('test');
+  graph.purge = () => Promise.reject(new Error('connection refused'));
+  const tenant = tenantOf(graph);
+  tenant.S.setPendingVisitorWarning(warning('v1', 'Lab', [OLD]));
+  return purgeTenant(tenant, { retentionDays: 14, now: NOW }).then(
+    (summary) => {
+      assert.deepStrictEqual(summary.failed, ['visits']);
+      assert.strictEqual(summary.purged.visits, 0);
+      assert.strictEqual(summary.purged.warnings, 1);
+      assert.strictEqual(tenant.S.pendingVisitorWarnings.size, 0);
+    }
+  );
+});
@@ -0,0 +1,108 @@
+// Tests for the payload schemas every socket event is checked against
+// (schemas.js), through validatePayload as guard() calls it.
+process.env.LOG_LEVEL = 'silent';
+
+const assert = require('assert');
+
+const { validatePayload } = require('../schemas');
+const { test } = require('./harness');
+
+const visitor = { id: 'v1', visitor: 'alice' };
+
+test('validatePayload accepts payloads that match, with extra fields', () => {
+  assert.strictEqual(
+    validatePayload('enterRoom', { room: 'Lab', visitor, nsp: '/t1' }),
+    null
+  );
+  assert.strictEqual(validatePayload('exposeCases', undefined), null);
+  assert.throws(() => validatePayload('noSuchEvent', {}), /No payload schema/);
+});
+
+test('either accepts any of its schemas, else reports the last', () => {
+  assert.strictEqual(
+    validatePayload('stepFiveVisitorReceivedAlert', 'v1'),
+    null
+  );
+  assert.strictEqual(
+    validatePayload('stepFiveVisitorReceivedAlert', {
+      visitorId: 'v1',
+      keys: ['k1'],
+    }),
+    null
+  );
+  assert.deepStrictEqual(
+    validatePayload('stepFiveVisitorReceivedAlert', { visitorId: '' }),
+    {
+      code: 'INVALID_PAYLOAD',
+      field: 'visitorId',
+      message: 'visitorId must be a non-empty id of at most 128 characters',
+    }
+  );
+  assert.strictEqual(
+    validatePayload('stepFiveVisitorReceivedAlert', 42).field,
+    null
+  );
+});
+
+test('array and tuple point at the offending item', () => {
+  const warn = (warningsMap) =>
+    validatePayload('exposureWarning', { visitor, warningsMap });
+  assert.strictEqual(warn([['Lab', ['2020-10-01', Date.now()]]]), null);
+  assert.strictEqual(warn([['Lab', '2020-10-01']]), null);
+  assert.strictEqual(warn({ Lab: '2020-10-01' }).field, 'warningsMap');
+  assert.strictEqual(warn([['Lab']]).field, 'warningsMap[0]');
+  assert.strictEqual(
+    warn([
+      ['Lab', null],
+      ['', null],
+    ]).field,
+    'warningsMap[1][0]'
+  );
+  assert.strictEqual(
+    warn([['Lab', ['2020-10-01', NaN]]]).field,
+    'warningsMap[0][1][1]'
+  );
+});
+
+test('object refuses non-objects and names nested fields', () => {
+  [null, 'Lab', ['Lab'], 42].forEach((payload) =>
+    assert.match(
+      validatePayload('openRoom', payload).message,
+      /payload must be an object with room/
+    )
+  );
+  assert.strictEqual(
+    validatePayload('enterRoom', { room: 'Lab', visitor: { visitor: 'a' } })
+      .field,
+    'visitor.id'
+  );
+  assert.strictEqual(
+    validatePayload('exposeAuditLog', { limit: 0 }).field,
+    'limit'
+  );
+});
+
+test('exact refuses fields it does not declare', () => {
+  const list = (exposedVisitors) =>
+    validatePayload('stepThreeRoomListsVisitorsForServer', {
+      room: 'Lab',
+      exposedVisitors,
+    });
+  assert.strictEqual(list([{ id: 'v1', visitor: 'alice', nsp: '/t1' }]), null);
+  assert.deepStrictEqual(list([{ id: 'v1', riskScore: 0 }]), {
+    code: 'INVALID_PAYLOAD',
+    field: 'exposedVisitors[0].riskScore',
+    message: 'Unexpected field riskScore',
+  });
+});
+
+test('withCode keeps the more specific code', () => {
+  assert.strictEqual(
+    validatePayload('dropPending', { queue: 'cases', id: 'v1', key: 'k' }).code,
+    'INVALID_QUEUE'
+  );
+  assert.strictEqual(
+    validatePayload('dropPending', { queue: 'alerts', id: 'v1' }).code,
+    'INVALID_ITEM'
+  );
+});
@@ -0,0 +1,340 @@
+const moment = require('moment');
+
+// Visits, in the visit graph (see graph.js) once they end, and in memory
+// while they are in progress. Clients send visits as {visitor, room,
+// checkIn, checkOut}: the server builds every query, and clients never
+// send Cypher.
+
+const MAX_ID_LENGTH = 128;
+// how far a client's clock may run ahead of the server's
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+const VISIT_FIELDS = ['visitor', 'room', 'checkIn', 'checkOut'];
+
+// accepts epoch milliseconds or an ISO 8601 date string
+const toTime = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : NaN;
+  }
+  if (typeof value === 'string') {
+    const time = moment(value, moment.ISO_8601, true);
+    return time.isValid() ? time.valueOf() : NaN;
+  }
+  return NaN;
+};
+
+const isId = (value) =>
+  typeof value === 'string' &&
+  value.trim().length > 0 &&
+  value.length <= MAX_ID_LENGTH;
+
+// returns null for a valid visit, otherwise {field, message}
+function validateVisit(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      field: null,
+      message: 'Expected {visitor, room, checkIn, checkOut}',
+    };
+  }
+  const unknown = Object.keys(data).find((key) => !VISIT_FIELDS.includes(key));
+  if (unknown) {
+    return { field: unknown, message: `Unexpected field ${unknown}` };
+  }
+  for (const field of ['visitor', 'room']) {
+    if (!isId(data[field])) {
+      return {
+        field: field,
+        message: `${field} must be a non-empty id of at most ${MAX_ID_LENGTH} characters`,
+      };
+    }
+  }
+  for (const field of ['checkIn', 'checkOut']) {
+    if (Number.isNaN(toTime(data[field]))) {
+      return {
+        field: field,
+        message: `${field} must be epoch milliseconds or an ISO 8601 date`,
+      };
+    }
+  }
+  if (toTime(data.checkOut) < toTime(data.checkIn)) {
+    return { field: 'checkOut', message: 'checkOut cannot precede checkIn' };
+  }
+  return null;
+}
+
+// returns null for a valid visit that ended by now (give or take
+// MAX_CLOCK_SKEW) and began within the last retentionDays, otherwise
+// {field, message}: the server would never have seen a visit from the
+// future, and retention.js would purge an older one on its next run
+function checkVisitTimes(visit, retentionDays, now = Date.now()) {
+  if (toTime(visit.checkOut) > now + MAX_CLOCK_SKEW) {
+    return { field: 'checkOut', message: 'checkOut cannot be in the future' };
+  }
+  if (toTime(visit.checkIn) < now - retentionDays * 24 * 60 * 60 * 1000) {
+    return {
+      field: 'checkIn',
+      message: `checkIn cannot be more than ${retentionDays} days ago`,
+    };
+  }
+  return null;
+}
+
+// sentTime from a client, if it makes sense, otherwise now
+const timeOrNow = (value) => {
+  const time = toTime(value);
+  return Number.isNaN(time) ? Date.now() : time;
+};
+
+const visitKey = (visitor, room) => `${visitor}|${room}`;
+
+// exposureDates (from a warningsMap) can be one date or a list of dates
+// each date becomes the whole day it names: {start, end} in epoch ms
+const exposureDays = (exposureDates) =>
+  [].concat(exposureDates || []).reduce((a, value) => {
+    let day = moment(value, moment.ISO_8601);
+    if (!day.isValid()) {
+      day = moment(new Date(value));
+    }
+    if (day.isValid()) {
+      a.push({
+        start: day.clone().startOf('day').valueOf(),
+        end: day.clone().endOf('day').valueOf(),
+      });
+    }
+    return a;
+  }, []);
+
+const overlapOf = (a, b) =>
+  Math.max(
+    0,
+    Math.min(a.checkOut, b.checkOut) - Math.max(a.checkIn, b.checkIn)
+  );
+
+class VisitLog {
+  constructor(graph) {
+    this.graph = graph;
+    // visits in progress (checked in, not yet checked out)
+    this.openVisits = new Map();
+  }
+
+  // expects a visit that passed validateVisit()
+  // a visit with the same checkIn is updated rather than duplicated
+  // (so a client's logVisit and the server's own record coincide), except
+  // that a reported visit never overwrites one the server saw (see
+  // roomsVisited())
+  // resolves to the visit as logged
+  logVisit({ visitor, room, checkIn, checkOut, exit = 'reported' }) {
+    const visit = {
+      visitor: visitor,
+      room: room,
+      checkIn: toTime(checkIn),
+      checkOut: toTime(checkOut),
+      exit: exit,
+    };
+    const seen =
+      exit == 'reported'
+        ? this.graph
+            .find({
+              visitor: visitor,
+              room: room,
+              from: visit.checkIn - 1,
+              to: visit.checkIn + 1,
+            })
+            .then((visits) =>
+              visits.find(
+                (v) => v.checkIn === visit.checkIn && v.exit !== 'reported'
+              )
+            )
+        : Promise.resolve(null);
+    return seen.then((observed) => observed || this.graph.logVisit(visit));
+  }
+
+  // called when a Visitor enters a Room
+  checkIn(visitor, room, sentTime) {
+    const key = visitKey(visitor, room);
+    if (!this.openVisits.has(key)) {
+      this.openVisits.set(key, {
+        visitor: visitor,
+        room: room,
+        checkIn: timeOrNow(sentTime),
+      });
+    }
+    return this.openVisits.get(key);
+  }
+
+  // called when a Visitor leaves a Room (or is made to leave)
+  // resolves to null if the Visitor was not checked in
+  checkOut(visitor, room, sentTime, exit = 'left') {
+    const key = visitKey(visitor, room);
+    const visit = this.openVisits.get(key);
+    if (!visit) {
+      return Promise.resolve(null);
+    }
+    this.openVisits.delete(key);
+    const checkOut = Math.max(timeOrNow(sentTime), visit.checkIn);
+    return this.logVisit({ ...visit, checkOut: checkOut, exit: exit }).then(
+      () => ({ ...visit, checkOut: checkOut, exit: exit })
+    );
+  }
+
+  // visits in a Room that overlap [start, end), from the graph
+  // and from visits still in progress
+  visitsBetween(room, start, end) {
+    return this.graph
+      .find({ room: room, from: start, to: end })
+      .then((visits) => {
+        const now = Date.now();
+        const open = [...this.openVisits.values()]
+          .filter((v) => v.room === room && v.checkIn < end && now > start)
+          .map((v) => ({ ...v, checkOut: now, exit: 'open' }));
+        return visits.concat(open);
+      });
+  }
+
+  // Visitors who were in the Room on the exposure dates, with how long
+  // their stays overlapped the warning Visitor's stays there (or, if the
+  // graph has no record of the warning Visitor, the whole day)
+  // resolves to [{id, overlap, occupancy, visits: [{checkIn, checkOut}]}],
+  // where overlap is in milliseconds (0 means same day, different time)
+  // and occupancy counts everyone (warning Visitor included) who overlapped
+  findExposures(visitor, room, exposureDates) {
+    const days = exposureDays(exposureDates);
+    return Promise.all(
+      days.map((day) => this.visitsBetween(room, day.start, day.end))
+    ).then((perDay) => {
+      const exposures = new Map();
+      perDay.forEach((visits, i) => {
+        const own = visits.filter((v) => v.visitor === visitor);
+        const windows = own.length
+          ? own
+          : [{ checkIn: days[i].start, checkOut: days[i].end }];
+        visits
+          .filter((v) => v.visitor !== visitor)
+          .forEach((v) => {
+            const overlap = windows.reduce((a, w) => a + overlapOf(v, w), 0);
+            const exposure = exposures.get(v.visitor) || {
+              id: v.visitor,
+              overlap: 0,
+              visits: [],
+            };
+            exposure.overlap += overlap;
+            exposure.visits.push({ checkIn: v.checkIn, checkOut: v.checkOut });
+            exposures.set(v.visitor, exposure);
+          });
+      });
+      const all = [...exposures.values()];
+      const occupancy = all.filter((e) => e.overlap).length + 1;
+      return all.map((e) => ({ ...e, occupancy: occupancy }));
+    });
+  }
+
+  // visits in progress that began before `to`, optionally in one Room,
+  // with checkOut null and exit 'open'
+  openVisitsIn(room, to) {
+    return [...this.openVisits.values()]
+      .filter((v) => (!room || v.room === room) && v.checkIn < to)
+      .map((v) => ({ ...v, checkOut: null, exit: 'open' }));
+  }
+
+  // every visit overlapping [from, to), optionally in one Room, oldest first
+  // visits still in progress come last, with checkOut null and exit 'open'
+  visits({ from = 0, to = Date.now(), room } = {}) {
+    return this.graph
+      .find({ room: room, from: from, to: to })
+      .then((visits) => visits.concat(this.openVisitsIn(room, to)));
+  }
+
+  // the same visits as visits(), handed to onPage pageSize at a time
+  // (the visits in progress last, as a page of their own), so a large
+  // export never holds them all (e.g., for CSV exports, see reports.js)
+  // onPage may return a promise, and the next page waits for it
+  // resolves to how many visits were paged
+  eachPage({ from = 0, to = Date.now(), room } = {}, pageSize, onPage) {
+    const pageAt = (skip) =>
+      this.graph
+        .find({ room: room, from: from, to: to, skip: skip, limit: pageSize })
+        .then((visits) =>
+          Promise.resolve(visits.length && onPage(visits)).then(() =>
+            visits.length < pageSize
+              ? skip + visits.length
+              : pageAt(skip + pageSize)
+          )
+        );
+    return pageAt(0).then((count) => {
+      const open = this.openVisitsIn(room, to);
+      return Promise.resolve(open.length && onPage(open)).then(
+        () => count + open.length
+      );
+    });
+  }
+
+  // the Rooms the server saw the Visitor in: visits it checked in (on
+  // enterRoom, once the socket joined the Room) and out, or still in
+  // progress, but not the visits clients only reported with logVisit
+  // (e.g., to flag warnings naming a Room the Visitor never entered)
+  roomsVisited(visitor) {
+    return this.graph.find({ visitor: visitor }).then((visits) => {
+      const observed = visits.filter((v) => v.exit !== 'reported');
+      const open = [...this.openVisits.values()]
+        .filter((v) => v.visitor === visitor)
+        .map((v) => v.room);
+      return [...new Set(observed.map((v) => v.room).concat(open))];
+    });
+  }
+
+  // the Visitor's visits, oldest first (e.g., for requestMyData)
+  // visits still in progress come last, with checkOut null and exit 'open'
+  visitsOf(visitor) {
+    return this.graph.find({ visitor: visitor }).then((visits) =>
+      visits
+        .concat(
+          [...this.openVisits.values()]
+            .filter((v) => v.visitor === visitor)
+            .map((v) => ({ ...v, checkOut: null, exit: 'open' }))
+        )
+        .map(({ room, checkIn, checkOut, exit }) => ({
+          room: room,
+          checkIn: checkIn,
+          checkOut: checkOut,
+          exit: exit,
+        }))
+    );
+  }
+
+  // deletes the Visitor and every visit of theirs, logged or in progress
+  // (e.g., for eraseMyData)
+  // resolves to how many visits were deleted
+  erase(visitor) {
+    return this.graph.erase(visitor).then((deleted) => {
+      const open = [...this.openVisits.entries()].filter(
+        ([key, v]) => v.visitor === visitor
+      );
+      open.forEach(([key]) => this.openVisits.delete(key));
+      return deleted + open.length;
+    });
+  }
+
+  // deletes visits that ended before `before` (epoch ms), then the Visitors
+  // left with no visits (visits in progress are kept)
+  // resolves to {visits, visitorNodes}: how many were deleted
+  purge(before) {
+    return this.graph.purge(before);
+  }
+
+  // closes every visit the Visitor still has open (e.g., on disconnect)
+  checkOutAll(visitor, exit) {
+    return Promise.all(
+      [...this.openVisits.values()]
+        .filter((visit) => visit.visitor === visitor)
+        .map((visit) => this.checkOut(visit.visitor, visit.room, null, exit))
+    );
+  }
+}
+
+module.exports = {
+  checkVisitTimes,
+  exposureDays,
+  overlapOf,
+  toTime,
+  validateVisit,
+  VisitLog,
+};